@@ -0,0 +1,77 @@
+// clickRedirectStub.js
+//
+// Dev-server stand-in for the MessageHub click-tracking routes, so link
+// wrapping can be exercised with `npm run dev` when VITE_MESSAGEHUB_BASE_URL
+// is unset (the SPA then calls its own origin). Tokens and clicks live in
+// memory and are lost when the dev server restarts.
+//
+//   POST /api/marketing/click-links  { email, campaign?, urls } → { links: [{ url, redirect_url }] }
+//   GET  /api/marketing/click?t=…    records the click, 302 to the target
+//   GET  /api/marketing/clicks       every click recorded so far
+
+import { randomUUID } from 'node:crypto'
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let raw = ''
+  req.on('data', (chunk) => { raw += chunk })
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {})
+    } catch (error) {
+      reject(error)
+    }
+  })
+  req.on('error', reject)
+})
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+export default function clickRedirectStub() {
+  const linksByToken = new Map()
+  const clicks = []
+
+  return {
+    name: 'click-redirect-stub',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/api/marketing/click-links', async (req, res, next) => {
+        if (req.method !== 'POST') return next()
+        try {
+          const { email, campaign = '', urls } = await readJsonBody(req)
+          if (!email || !Array.isArray(urls)) return sendJson(res, 400, { error: 'email and urls are required' })
+
+          const links = urls.map((url) => {
+            const token = randomUUID()
+            linksByToken.set(token, { email, campaign, url })
+            return { url, redirect_url: `http://${req.headers.host}/api/marketing/click?t=${token}` }
+          })
+          sendJson(res, 200, { links })
+        } catch (error) {
+          sendJson(res, 400, { error: error.message })
+        }
+      })
+
+      server.middlewares.use('/api/marketing/clicks', (req, res, next) => {
+        if (req.method !== 'GET') return next()
+        sendJson(res, 200, { clicks })
+      })
+
+      server.middlewares.use('/api/marketing/click', (req, res, next) => {
+        if (req.method !== 'GET') return next()
+        const token = new URL(req.url, 'http://localhost').searchParams.get('t')
+        const link = linksByToken.get(token)
+        if (!link) return sendJson(res, 404, { error: 'Unknown click token' })
+
+        clicks.push({ ...link, clicked_at: new Date().toISOString() })
+        server.config.logger.info(`[click-redirect-stub] ${link.email} → ${link.url}`)
+        res.statusCode = 302
+        res.setHeader('Location', link.url)
+        res.end()
+      })
+    },
+  }
+}
@@ -1,3 +1,6 @@
+import { SENDER_ACCOUNT_MAX_MIME_BYTES, UPLOAD_SESSION_THRESHOLD_BYTES, base64ToBytes, formatBytes } from './src/utils/attachments.js'
+import { buildMimeMessage, mimeToBase64 } from './src/utils/mime.js'
+
 /**
  * graphApi.js
  * Acquires a fresh access token silently, falling back to popup.
@@ -18,53 +21,436 @@ export async function getAccessToken(msalInstance, account, loginRequest) {
 
 /**
  * Sends a single email via Microsoft Graph API.
+ *
+ * The message is assembled as RFC 5322 MIME (see src/utils/mime.js), the
+ * same format sendEmailViaAccount() hands the backend, and posted to sendMail
+ * base64-encoded with `Content-Type: text/plain`. Unlike the JSON message
+ * format this carries any header (List-Unsubscribe and friends, which Graph's
+ * internetMessageHeaders refuses unless prefixed `x-`) and a
+ * multipart/alternative plain-text body.
+ *
+ * While the encoded message fits in one request it goes straight to
+ * sendMail; otherwise the draft is created from MIME holding only the body
+ * and inline images, and the file attachments are added to it one by one
+ * (files over UPLOAD_SESSION_THRESHOLD_BYTES through an attachment upload
+ * session) before the draft is sent.
  * @param {string} accessToken
  * @param {string} toEmail
  * @param {string} toName
  * @param {string} subject
  * @param {string} htmlBody
- * @param {string} [ccEmail]
+ * @param {string|string[]} [ccEmail]
+ * @param {{ attachments?: { name: string, contentType: string, size: number, contentBytes: string }[], headers?: { name: string, value: string }[], bcc?: string[], replyTo?: string[], textBody?: string }} [options]
  */
-export async function sendEmail(accessToken, toEmail, toName, subject, htmlBody, ccEmail) {
-  const message = {
+export async function sendEmail(accessToken, toEmail, toName, subject, htmlBody, ccEmail, options = {}) {
+  const attachments = options.attachments || []
+  const envelope = toMimeEnvelope({
+    toEmail,
+    toName,
     subject,
-    importance: 'normal',
-    body: {
-      contentType: 'HTML',
-      content: htmlBody,
+    htmlBody,
+    textBody: options.textBody,
+    cc: ccEmail,
+    bcc: options.bcc,
+    replyTo: options.replyTo,
+    headers: options.headers,
+  })
+  const mimeInit = (message) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: mimeToBase64(buildMimeMessage(message)),
+  })
+
+  const sendMailInit = mimeInit({ ...envelope, attachments })
+  if (sendMailInit.body.length <= MIME_SENDMAIL_MAX_BYTES) {
+    // 202 Accepted — no body
+    await graphRequest(accessToken, '/sendMail', sendMailInit)
+    return true
+  }
+
+  const inlineAttachments = attachments.filter((attachment) => attachment.isInline)
+  const fileAttachments = attachments.filter((attachment) => !attachment.isInline)
+  return sendDraftWithAttachments(
+    accessToken,
+    mimeInit({ ...envelope, attachments: inlineAttachments }),
+    fileAttachments
+  )
+}
+
+const GRAPH_ME_URL = 'https://graph.microsoft.com/v1.0/me'
+
+// Reply-To, CC and BCC arrive as a single address or a list of them.
+const toAddressList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean)
+
+// Upload session chunks must be a multiple of 320 KiB and under 4 MB.
+const UPLOAD_CHUNK_BYTES = 320 * 1024 * 10
+
+// A MIME sendMail body is the whole message base64-encoded again, so it is
+// measured after encoding against Graph's 4 MB request limit (with headroom).
+const MIME_SENDMAIL_MAX_BYTES = 3.5 * 1024 * 1024
+
+// Inline attachments (see src/utils/inlineImages.js) keep their contentId so
+// the body's cid: references resolve.
+const toGraphFileAttachment = (attachment) => ({
+  '@odata.type': '#microsoft.graph.fileAttachment',
+  name: attachment.name,
+  contentType: attachment.contentType,
+  contentBytes: attachment.contentBytes,
+  ...(attachment.isInline ? { isInline: true, contentId: attachment.contentId } : {}),
+})
+
+async function graphRequest(accessToken, path, init = {}) {
+  const response = await fetch(`${GRAPH_ME_URL}${path}`, {
+    ...init,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+      ...init.headers,
     },
-    toRecipients: [
-      {
-        emailAddress: {
-          address: toEmail,
-          name: toName || toEmail,
-        },
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw buildSendError(response, body?.error?.message, body?.error?.code)
+  return body
+}
+
+// Shapes a send (the sendEmail / sendEmailViaAccount message fields) into
+// buildMimeMessage()'s input, minus attachments.
+const toMimeEnvelope = ({ toEmail, toName, subject, htmlBody, textBody, cc, bcc, replyTo, headers = [] }) => ({
+  to: [{ email: toEmail, name: toName || toEmail }],
+  cc: toAddressList(cc).map((email) => ({ email })),
+  bcc: toAddressList(bcc).map((email) => ({ email })),
+  replyTo: toAddressList(replyTo).map((email) => ({ email })),
+  subject,
+  html: htmlBody,
+  text: textBody,
+  headers,
+})
+
+const buildMessageMime = (message) => (
+  buildMimeMessage({ ...toMimeEnvelope(message), attachments: message.attachments || [] })
+)
+
+// The complete message, attachments included, as base64 MIME.
+const encodeMessageMime = (message) => mimeToBase64(buildMessageMime(message))
+
+/**
+ * Creates a draft from `draftInit` (a base64 MIME body),
+ * adds each attachment with its own request (an upload session for files
+ * over the threshold), then sends the draft.
+ * Sending a draft saves it to Sent Items just like sendMail with
+ * saveToSentItems. On failure the draft is deleted (best effort) so retries
+ * don't pile up half-built drafts.
+ */
+async function sendDraftWithAttachments(accessToken, draftInit, attachments) {
+  const draft = await graphRequest(accessToken, '/messages', {
+    method: 'POST',
+    ...draftInit,
+  })
+  const draftPath = `/messages/${encodeURIComponent(draft.id)}`
+
+  try {
+    for (const attachment of attachments) {
+      if (attachment.size <= UPLOAD_SESSION_THRESHOLD_BYTES) {
+        await graphRequest(accessToken, `${draftPath}/attachments`, {
+          method: 'POST',
+          body: JSON.stringify(toGraphFileAttachment(attachment)),
+        })
+        continue
+      }
+
+      const session = await graphRequest(accessToken, `${draftPath}/attachments/createUploadSession`, {
+        method: 'POST',
+        body: JSON.stringify({
+          AttachmentItem: {
+            attachmentType: 'file',
+            name: attachment.name,
+            contentType: attachment.contentType,
+            size: attachment.size,
+            ...(attachment.isInline ? { isInline: true, contentId: attachment.contentId } : {}),
+          },
+        }),
+      })
+      await uploadAttachmentChunks(session.uploadUrl, base64ToBytes(attachment.contentBytes))
+    }
+
+    await graphRequest(accessToken, `${draftPath}/send`, { method: 'POST' })
+  } catch (error) {
+    await graphRequest(accessToken, draftPath, { method: 'DELETE' }).catch(() => {})
+    throw error
+  }
+
+  return true
+}
+
+// The upload URL is pre-authenticated; sending an Authorization header to it
+// is rejected by Graph.
+async function uploadAttachmentChunks(uploadUrl, bytes) {
+  for (let start = 0; start < bytes.length; start += UPLOAD_CHUNK_BYTES) {
+    const end = Math.min(start + UPLOAD_CHUNK_BYTES, bytes.length)
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${start}-${end - 1}/${bytes.length}`,
       },
-    ],
-    ...(ccEmail && {
-      ccRecipients: [
-        { emailAddress: { address: ccEmail } },
-      ],
-    }),
-  };
+      body: bytes.subarray(start, end),
+    })
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw buildSendError(response, body?.error?.message, body?.error?.code)
+    }
+  }
+}
+
+// Graph signals throttling either through the HTTP status or, for mailbox-level
+// limits, through the error code on an otherwise generic failure. sendMail is
+// not idempotent, so only responses that say the message was turned away are
+// retried: 429, and 503 when it carries a Retry-After. A 504 (or a bare 503)
+// may come back after the message was accepted, so it is reported instead.
+const THROTTLING_STATUS_CODES = new Set([429])
+const THROTTLING_ERROR_CODES = new Set(['MailboxConcurrency', 'ApplicationThrottled'])
+const GATEWAY_TIMEOUT_MESSAGE = 'Gateway timeout (HTTP 504): the message may have been sent anyway. Check Sent Items before retrying this recipient.'
+
+/**
+ * Builds the Error thrown by the send functions, carrying the HTTP status,
+ * service error code and parsed Retry-After delay so sendWithRetry() can
+ * decide whether the failure is worth another attempt.
+ */
+function buildSendError(response, message, code) {
+  return buildStatusError(response.status, response.headers.get('Retry-After'), message, code)
+}
+
+// $batch items carry their status and headers in the batch response body
+// rather than on a Response, so they build their errors from the parts.
+function buildStatusError(status, retryAfter, message, code) {
+  const error = new Error(status === 504 ? GATEWAY_TIMEOUT_MESSAGE : message || `HTTP ${status}`)
+  error.status = status
+  error.code = code || null
+  error.retryAfterMs = parseRetryAfterMs(retryAfter)
+  return error
+}
+
+/**
+ * Parses a Retry-After header, which may be either delta-seconds or an
+ * HTTP-date. Returns null when the header is missing or unparseable.
+ */
+function parseRetryAfterMs(value) {
+  if (!value) return null
+  const trimmed = String(value).trim()
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(Number(trimmed) * 1000)
+  const dateTime = new Date(trimmed).getTime()
+  return Number.isFinite(dateTime) ? Math.max(dateTime - Date.now(), 0) : null
+}
+
+export function isThrottlingError(error) {
+  if (!error) return false
+  return THROTTLING_STATUS_CODES.has(error.status)
+    || (error.status === 503 && error.retryAfterMs != null)
+    || THROTTLING_ERROR_CODES.has(error.code)
+}
+
+// Retry-After is honoured as-is; only our own backoff is capped.
+function getRetryDelayMs(error, attempt, baseDelayMs, maxDelayMs) {
+  const backoffMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs)
+  const jitterMs = Math.random() * Math.min(backoffMs, 5000)
+  return (error.retryAfterMs ?? backoffMs) + jitterMs
+}
+
+/**
+ * Runs a send function, retrying it while it fails with a throttling error.
+ * Each retry waits for the server's Retry-After delay when one was given,
+ * otherwise for an exponential backoff; both get random jitter so parallel
+ * senders don't retry in lockstep. Non-throttling errors, and the final
+ * throttling error once maxAttempts is reached, are rethrown with an
+ * `attempts` count attached.
+ * @param {() => Promise<any>} sendFn
+ * @param {{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, onRetry?: (info: { attempt: number, delayMs: number, error: Error }) => void }} [options]
+ */
+export async function sendWithRetry(sendFn, options = {}) {
+  const maxAttempts = Math.max(1, Math.floor(options.maxAttempts ?? 4))
+  const baseDelayMs = options.baseDelayMs ?? 1000
+  const maxDelayMs = options.maxDelayMs ?? 120000
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await sendFn()
+    } catch (error) {
+      if (!isThrottlingError(error) || attempt >= maxAttempts) {
+        error.attempts = attempt
+        throw error
+      }
+
+      const delayMs = getRetryDelayMs(error, attempt, baseDelayMs, maxDelayMs)
+      options.onRetry?.({ attempt, delayMs, error })
+      await new Promise((resolve) => setTimeout(resolve, delayMs))
+    }
+  }
+}
+
+// Graph accepts 20 requests per JSON batch but runs them in parallel, and
+// Exchange only allows 4 concurrent requests per mailbox; beyond that items
+// come back 429 MailboxConcurrency. Chaining them with dependsOn instead
+// would fail every later item (424) once one send fails, so batches are
+// kept to the mailbox limit. The size budget keeps the whole batch body
+// under the 4 MB request limit.
+export const GRAPH_BATCH_MAX_REQUESTS = 4
+const GRAPH_BATCH_MAX_BYTES = 3.5 * 1024 * 1024
+
+/**
+ * Sends many messages from the signed-in mailbox through Graph's JSON $batch
+ * endpoint, packing up to GRAPH_BATCH_MAX_REQUESTS MIME sendMail requests
+ * into each batch. A message too large to share a batch goes out on its own
+ * through sendEmail().
+ *
+ * Each batch item succeeds or fails independently. Items that come back
+ * throttled are resent in a later batch after the longest Retry-After (or
+ * backoff) among them, up to maxAttempts, mirroring sendWithRetry(). A
+ * throttled $batch request is retried the same way for its items; any other
+ * failure of the request fails only that batch's items, so messages already
+ * sent by earlier batches keep their results.
+ * Resolves with one { id, ok, error, attempts } per message, in input order.
+ * @param {string} accessToken
+ * @param {{ id: string, toEmail: string, toName?: string, subject: string, htmlBody: string, textBody?: string, cc?: string[], bcc?: string[], replyTo?: string[], attachments?: object[], headers?: { name: string, value: string }[] }[]} messages
+ * @param {{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, onRetry?: (info: { id: string, attempt: number, delayMs: number, error: Error }) => void }} [options]
+ */
+export async function sendEmailsInBatches(accessToken, messages, options = {}) {
+  const maxAttempts = Math.max(1, Math.floor(options.maxAttempts ?? 4))
+  const baseDelayMs = options.baseDelayMs ?? 1000
+  const maxDelayMs = options.maxDelayMs ?? 120000
+  const results = new Map()
 
-  const response = await fetch('https://graph.microsoft.com/v1.0/me/sendMail', {
+  // Batch item bodies that aren't JSON are base64-encoded by Graph's rules,
+  // and a MIME sendMail body is itself base64, hence the double encoding.
+  const prepared = messages.map((message) => {
+    const mimeBody = encodeMessageMime(message)
+    return { message, batchBody: btoa(mimeBody), attempts: 0 }
+  })
+
+  const oversized = prepared.filter((item) => item.batchBody.length > GRAPH_BATCH_MAX_BYTES)
+  for (const { message } of oversized) {
+    let attempts = 1
+    try {
+      await sendWithRetry(
+        () => sendEmail(accessToken, message.toEmail, message.toName, message.subject, message.htmlBody, message.cc, {
+          attachments: message.attachments,
+          headers: message.headers,
+          bcc: message.bcc,
+          replyTo: message.replyTo,
+          textBody: message.textBody,
+        }),
+        {
+          maxAttempts,
+          baseDelayMs,
+          maxDelayMs,
+          onRetry: (info) => {
+            attempts = info.attempt + 1
+            options.onRetry?.({ ...info, id: message.id })
+          },
+        }
+      )
+      results.set(message.id, { id: message.id, ok: true, error: null, attempts })
+    } catch (error) {
+      results.set(message.id, { id: message.id, ok: false, error, attempts: error.attempts })
+    }
+  }
+
+  let pending = prepared.filter((item) => item.batchBody.length <= GRAPH_BATCH_MAX_BYTES)
+  while (pending.length) {
+    const throttled = []
+
+    for (const batch of chunkBatchItems(pending)) {
+      let responses
+      try {
+        responses = await postGraphBatch(accessToken, batch)
+      } catch (batchError) {
+        // The request as a whole failed: every item shares its error. A
+        // throttled batch has sent nothing and is retried like its items.
+        responses = batch.map(() => batchError)
+      }
+      batch.forEach((item, index) => {
+        item.attempts += 1
+        const error = responses[index]
+        if (!error) {
+          results.set(item.message.id, { id: item.message.id, ok: true, error: null, attempts: item.attempts })
+        } else if (isThrottlingError(error) && item.attempts < maxAttempts) {
+          throttled.push({ item, error })
+        } else {
+          results.set(item.message.id, { id: item.message.id, ok: false, error, attempts: item.attempts })
+        }
+      })
+    }
+
+    if (!throttled.length) break
+
+    const delayMs = Math.max(...throttled.map(({ item, error }) => getRetryDelayMs(error, item.attempts, baseDelayMs, maxDelayMs)))
+    throttled.forEach(({ item, error }) => {
+      options.onRetry?.({ id: item.message.id, attempt: item.attempts, delayMs, error })
+    })
+    await new Promise((resolve) => setTimeout(resolve, delayMs))
+    pending = throttled.map(({ item }) => item)
+  }
+
+  return messages.map((message) => results.get(message.id))
+}
+
+function chunkBatchItems(items) {
+  const batches = []
+  let current = []
+  let currentBytes = 0
+  for (const item of items) {
+    if (current.length >= GRAPH_BATCH_MAX_REQUESTS || currentBytes + item.batchBody.length > GRAPH_BATCH_MAX_BYTES) {
+      batches.push(current)
+      current = []
+      currentBytes = 0
+    }
+    current.push(item)
+    currentBytes += item.batchBody.length
+  }
+  if (current.length) batches.push(current)
+  return batches
+}
+
+/**
+ * Posts one $batch of MIME sendMail requests and returns, per item, null on
+ * success or the Error that item failed with.
+ */
+async function postGraphBatch(accessToken, batch) {
+  const response = await fetch('https://graph.microsoft.com/v1.0/$batch', {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${accessToken}`,
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ message, saveToSentItems: true }),
-  });
+    body: JSON.stringify({
+      requests: batch.map((item, index) => ({
+        id: String(index + 1),
+        method: 'POST',
+        url: '/me/sendMail',
+        headers: { 'Content-Type': 'text/plain' },
+        body: item.batchBody,
+      })),
+    }),
+  })
 
-  if (!response.ok) {
-    const errBody = await response.json().catch(() => ({}));
-    const errMsg = errBody?.error?.message || `HTTP ${response.status}`;
-    throw new Error(errMsg);
-  }
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw buildSendError(response, body?.error?.message, body?.error?.code)
 
-  // 202 Accepted — no body
-  return true;
+  const responsesById = new Map((body.responses || []).map((itemResponse) => [itemResponse.id, itemResponse]))
+  return batch.map((item, index) => {
+    const itemResponse = responsesById.get(String(index + 1))
+    if (!itemResponse) return buildStatusError(0, null, 'Missing response in Graph batch')
+    if (itemResponse.status >= 200 && itemResponse.status < 300) return null
+    const retryAfter = Object.entries(itemResponse.headers || {})
+      .find(([name]) => name.toLowerCase() === 'retry-after')?.[1]
+    return buildStatusError(
+      itemResponse.status,
+      retryAfter,
+      itemResponse.body?.error?.message,
+      itemResponse.body?.error?.code
+    )
+  })
 }
 
 /**
@@ -97,14 +483,31 @@ export async function fetchSenderAccounts(accessToken, options = {}) {
  * `senderAccountId` to its stored credentials (SMTP, IMAP-authenticated,
  * etc.) and performs the send server-side, so no secrets are ever
  * delivered to the frontend.
+ *
+ * The message goes as the same base64 MIME that sendEmail() posts to Graph
+ * (`mime`), so both paths send byte-for-byte the same structure. The backend
+ * stamps From, Date and Message-ID for the account, strips the Bcc header
+ * and relays it; `to`, `cc` and `bcc` are repeated as { email } lists for
+ * the SMTP envelope and the send log.
+ *
+ * `internal` flags test and seed-list sends: the backend should relay them
+ * without recording a contact send or counting them in the account's
+ * activity, which drives campaign pacing.
  * @param {string} accessToken bearer token for the MessageHub backend
  * @param {string} senderAccountId id returned by fetchSenderAccounts
- * @param {{ toEmail: string, toName?: string, subject: string, htmlBody: string, ccEmail?: string }} message
- * @param {{ clientId?: string }} [options]
+ * @param {{ toEmail: string, toName?: string, subject: string, htmlBody: string, textBody?: string, cc?: string[], bcc?: string[], replyTo?: string[], attachments?: object[], headers?: { name: string, value: string }[] }} message
+ * @param {{ clientId?: string, internal?: boolean }} [options]
  */
 export async function sendEmailViaAccount(accessToken, senderAccountId, message, options = {}) {
   const apiBaseUrl = getMarketingContactsBaseUrl()
-  const { toEmail, toName, subject, htmlBody, ccEmail } = message
+  const envelope = toMimeEnvelope(message)
+
+  // Rejected here rather than posted: the request would be a third larger
+  // again, and the SMTP relay would refuse it anyway.
+  const mime = buildMessageMime(message)
+  if (mime.length > SENDER_ACCOUNT_MAX_MIME_BYTES) {
+    throw new Error(`Message is ${formatBytes(mime.length)} encoded; sender accounts accept up to ${formatBytes(SENDER_ACCOUNT_MAX_MIME_BYTES)}. Remove attachments or send from the signed-in mailbox.`)
+  }
 
   const response = await fetch(`${apiBaseUrl}/api/marketing/send-email`, {
     method: 'POST',
@@ -115,15 +518,17 @@ export async function sendEmailViaAccount(accessToken, senderAccountId, message,
     },
     body: JSON.stringify({
       senderAccountId,
-      to: { email: toEmail, name: toName || toEmail },
-      ...(ccEmail ? { cc: { email: ccEmail } } : {}),
-      subject,
-      html: htmlBody,
+      to: envelope.to[0],
+      ...(envelope.cc.length ? { cc: envelope.cc } : {}),
+      ...(envelope.bcc.length ? { bcc: envelope.bcc } : {}),
+      subject: message.subject,
+      mime: mimeToBase64(mime),
+      ...(options.internal ? { internal: true } : {}),
     }),
   })
 
   const body = await response.json().catch(() => ({}))
-  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  if (!response.ok) throw buildSendError(response, body?.error, body?.code)
 
   // Backend is expected to return { sent: true } on success.
   return body.sent !== false
@@ -347,14 +752,28 @@ export async function checkMarketingContact(accessToken, email, options = {}) {
   }
 }
 
-export async function unsubscribeMarketingContact(email) {
+/**
+ * Unsubscribes the contact named by a signed token from an email's
+ * unsubscribe link. The backend verifies the signature, so only someone
+ * holding the recipient's own link can unsubscribe that address.
+ * The optional reason is stored on the contact record for the weekly
+ * unsubscribe-reason report.
+ * @param {string} token
+ * @param {{ reason?: string, reasonDetails?: string }} [feedback]
+ * @returns {{ unsubscribed: boolean, contact: object|null }}
+ */
+export async function unsubscribeMarketingContact(token, feedback = {}) {
   const apiBaseUrl = getMarketingContactsBaseUrl()
   const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/unsubscribe`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ email }),
+    body: JSON.stringify({
+      token,
+      ...(feedback.reason ? { reason: feedback.reason } : {}),
+      ...(feedback.reasonDetails?.trim() ? { reason_details: feedback.reasonDetails.trim() } : {}),
+    }),
   })
 
   const responseBody = await response.json().catch(() => ({}))
@@ -369,6 +788,336 @@ export async function unsubscribeMarketingContact(email) {
   }
 }
 
+/**
+ * Loads the subscription preferences for the contact named by a signed
+ * unsubscribe token. The backend rejects invalid or expired tokens, so this
+ * doubles as the token check before anything is shown.
+ * @param {string} token
+ * @returns {{ email: string, preferences: { subscribed: boolean, topics: string[]|null, frequency: string, language: string|null } }}
+ */
+export async function fetchContactPreferences(token) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/preferences/lookup`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ token }),
+  })
+
+  const responseBody = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(responseBody?.error || `HTTP ${response.status}`)
+  }
+
+  return {
+    email: responseBody.email || '',
+    preferences: normalizeContactPreferences(responseBody.preferences),
+  }
+}
+
+/**
+ * Saves subscription preferences for the contact named by a signed token.
+ * Setting `subscribed: true` resubscribes a contact who previously opted out.
+ * @param {string} token
+ * @param {{ subscribed?: boolean, topics?: string[], frequency?: string, language?: string }} preferences
+ * @returns {{ preferences: object }}
+ */
+export async function updateContactPreferences(token, preferences) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/preferences`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ token, preferences }),
+  })
+
+  const responseBody = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(responseBody?.error || `HTTP ${response.status}`)
+  }
+
+  return { preferences: normalizeContactPreferences(responseBody.preferences) }
+}
+
+function normalizeContactPreferences(preferences = {}) {
+  return {
+    subscribed: preferences?.subscribed !== false,
+    // null means the contact never narrowed their topics, i.e. all of them.
+    topics: Array.isArray(preferences?.topics) ? preferences.topics : null,
+    frequency: preferences?.frequency || 'normal',
+    language: preferences?.language || null,
+  }
+}
+
+/**
+ * Asks the backend to email a fresh signed unsubscribe link to `email`, for
+ * visitors who reach the page without one. The backend answers the same way
+ * whether or not the address is a known contact.
+ * @param {string} email
+ * @returns {{ requested: boolean }}
+ */
+export async function requestUnsubscribeLink(email) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/unsubscribe-request`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ email }),
+  })
+
+  const responseBody = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(responseBody?.error || `HTTP ${response.status}`)
+  }
+
+  return { requested: responseBody.requested !== false }
+}
+
+/**
+ * Asks the backend for a signed, recipient-specific unsubscribe link. The
+ * signing secret stays server-side: `url` opens the unsubscribe page with the
+ * token prefilled, while `oneClickUrl` is the backend endpoint that accepts
+ * the RFC 8058 one-click POST mailbox providers send.
+ * @param {string} accessToken
+ * @param {string} email
+ * @param {{ clientId?: string, language?: string }} [options]
+ * @returns {{ url: string, oneClickUrl: string }}
+ */
+export async function createUnsubscribeLink(accessToken, email, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/unsubscribe-link`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+    body: JSON.stringify({
+      email: String(email || '').trim().toLowerCase(),
+      ...(options.language ? { language: options.language } : {}),
+    }),
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  if (!body.url || !body.one_click_url) throw new Error('Unsubscribe link response is missing url or one_click_url')
+
+  return { url: body.url, oneClickUrl: body.one_click_url }
+}
+
+/**
+ * Asks the backend to wrap a recipient's links in click-tracking redirects.
+ * Each `redirectUrl` is a MessageHub /api/marketing/click URL carrying an
+ * opaque token; the backend resolves it to the recipient, campaign and
+ * target, records the click and answers with a 302. Targets are only known
+ * server-side, so the redirect can't be turned into an open redirect.
+ * @param {string} accessToken
+ * @param {string} email
+ * @param {string[]} urls link targets, already UTM-tagged
+ * @param {{ clientId?: string, campaign?: string }} [options]
+ * @returns {{ url: string, redirectUrl: string }[]}
+ */
+export async function createClickRedirectLinks(accessToken, email, urls, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/click-links`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+    body: JSON.stringify({
+      email: String(email || '').trim().toLowerCase(),
+      urls,
+      ...(options.campaign ? { campaign: options.campaign } : {}),
+    }),
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  if (!Array.isArray(body.links)) throw new Error('Click link response is missing links')
+
+  return body.links.map((link) => ({ url: link.url, redirectUrl: link.redirect_url }))
+}
+
+// The backend stores mappings in snake_case; the SPA uses the shape of
+// DEFAULT_TEMPLATE_FIELD_MAPPING in src/utils/template.js.
+const fromStoredFieldMapping = (mapping) => ({
+  fields: (mapping.fields || []).map((field) => ({ contactField: field.contact_field, templateKey: field.template_key })),
+  aliases: mapping.aliases || {},
+  defaults: mapping.defaults || {},
+})
+
+/**
+ * Fetches the contact-field-to-template mapping stored for a campaign, or
+ * null when the campaign has none and the built-in mapping applies.
+ * @param {string} accessToken
+ * @param {string} campaign campaign slug, as used for utm_campaign
+ * @param {{ clientId?: string }} [options]
+ * @returns {{ fields: { contactField: string, templateKey: string }[], aliases: Record<string, string>, defaults: Record<string, string> } | null}
+ */
+export async function fetchTemplateFieldMapping(accessToken, campaign, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/template-mappings/${encodeURIComponent(campaign)}`, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+  })
+
+  if (response.status === 404) return null
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  return body.mapping ? fromStoredFieldMapping(body.mapping) : null
+}
+
+/**
+ * Stores a campaign's contact-field-to-template mapping, replacing any
+ * earlier one.
+ * @param {string} accessToken
+ * @param {string} campaign
+ * @param {{ fields: { contactField: string, templateKey: string }[], aliases: Record<string, string>, defaults: Record<string, string> }} mapping
+ * @param {{ clientId?: string }} [options]
+ * @returns {object} the mapping as stored
+ */
+export async function saveTemplateFieldMapping(accessToken, campaign, mapping, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/template-mappings/${encodeURIComponent(campaign)}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+    body: JSON.stringify({
+      fields: mapping.fields.map((field) => ({ contact_field: field.contactField, template_key: field.templateKey })),
+      aliases: mapping.aliases,
+      defaults: mapping.defaults,
+    }),
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  return body.mapping ? fromStoredFieldMapping(body.mapping) : mapping
+}
+
+// Templateize rule sets are stored in snake_case as well; the SPA uses the
+// shape of BUILT_IN_RULE_SETS in src/utils/templateize.js.
+const fromStoredRuleSet = (ruleSet) => ({
+  id: ruleSet.id,
+  name: ruleSet.name,
+  rules: (ruleSet.rules || []).map((rule) => ({
+    id: rule.id,
+    before: rule.before,
+    after: rule.after,
+    match: rule.match,
+    token: rule.token,
+    scope: rule.scope,
+    maxOccurrences: rule.max_occurrences,
+  })),
+})
+
+/**
+ * Fetches the templateize rule set stored for a campaign, or null when the
+ * campaign has none and the rule set picked in the browser applies.
+ * @param {string} accessToken
+ * @param {string} campaign campaign slug, as used for utm_campaign
+ * @param {{ clientId?: string }} [options]
+ * @returns {{ id: string, name: string, rules: object[] } | null}
+ */
+export async function fetchCampaignRuleSet(accessToken, campaign, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/templateize-rule-sets/${encodeURIComponent(campaign)}`, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+  })
+
+  if (response.status === 404) return null
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  return body.rule_set ? fromStoredRuleSet(body.rule_set) : null
+}
+
+/**
+ * Stores the templateize rule set a campaign uses, rules included, so every
+ * operator templateizes its DOCX the same way.
+ * @param {string} accessToken
+ * @param {string} campaign
+ * @param {{ id: string, name: string, rules: object[] }} ruleSet
+ * @param {{ clientId?: string }} [options]
+ * @returns {object} the rule set as stored
+ */
+export async function saveCampaignRuleSet(accessToken, campaign, ruleSet, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const response = await fetch(`${apiBaseUrl}/api/marketing/templateize-rule-sets/${encodeURIComponent(campaign)}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+    body: JSON.stringify({
+      id: ruleSet.id,
+      name: ruleSet.name,
+      rules: ruleSet.rules.map((rule) => ({
+        id: rule.id,
+        before: rule.before,
+        after: rule.after,
+        match: rule.match,
+        token: rule.token,
+        scope: rule.scope,
+        max_occurrences: rule.maxOccurrences,
+      })),
+    }),
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+  return body.rule_set ? fromStoredRuleSet(body.rule_set) : ruleSet
+}
+
+/**
+ * Fetches unsubscribe counts grouped by ISO week and reason, newest week
+ * last. `counts` is keyed by reason code; unsubscribes without a reason are
+ * counted under `none`.
+ * @param {string} accessToken
+ * @param {{ weeks?: number, clientId?: string }} [options]
+ * @returns {{ weeks: { week_start: string, total: number, counts: Record<string, number>, details: string[] }[] }}
+ */
+export async function fetchUnsubscribeReasonReport(accessToken, options = {}) {
+  const apiBaseUrl = getMarketingContactsBaseUrl()
+  const params = new URLSearchParams()
+  if (options.weeks) params.set('weeks', String(options.weeks))
+  const qs = params.toString() ? `?${params}` : ''
+
+  const response = await fetch(`${apiBaseUrl}/api/marketing/contacts/unsubscribe-reasons${qs}`, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(options.clientId ? { 'x-client-id': options.clientId } : {}),
+    },
+  })
+
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(body?.error || `HTTP ${response.status}`)
+
+  return {
+    weeks: (body.weeks || []).map((week) => ({
+      week_start: week.week_start,
+      total: week.total || 0,
+      counts: week.counts || {},
+      details: week.details || [],
+    })),
+  }
+}
+
 /**
  * Fetches runtime app config from the MessageHub backend.
  * Requires a valid marketingContactsRequest token so the key is
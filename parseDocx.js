@@ -1,12 +1,15 @@
 // parseDocx.js
 import mammoth from 'mammoth'
+import { htmlToPlainText } from './src/utils/plainText.js'
+import { BUILT_IN_RULE_SETS, DEFAULT_RULE_SET_ID, templateizeContent } from './src/utils/templateize.js'
 
 export { applyTemplate } from './src/utils/template.js'
 
 /**
  * Converts a .docx File to HTML using mammoth.
- * Also extracts a plain-text version.
- * Returns: { html, text, subject }
+ * Also extracts a plain-text version (paragraphs kept, links expanded inline)
+ * that is sent as the text/plain alternative.
+ * Returns: { html, text, subject, warnings, source, templateizeReport }
  *
  * Subject detection priority:
  * 1. First non-empty element whose text is "Subject: ..." → explicit subject prefix
@@ -18,10 +21,13 @@ export { applyTemplate } from './src/utils/template.js'
  * Additionally, any "Dear Foo Bar," / "Dear Foo Bar:" text in the body is
  * normalised to "Dear {{name}}," so the greeting is personalised per recipient.
  *
- * Finally, templateizeContent() converts known variable regions into {{placeholder}}
- * tokens so that applyTemplate() can substitute per-recipient values at send time.
+ * Finally, the templateize `rules` (see src/utils/templateize.js; the
+ * auto-dealer set by default) convert known variable regions into
+ * {{placeholder}} tokens so that applyTemplate() can substitute per-recipient
+ * values at send time. `source` keeps the content from before that step so a
+ * different rule set can be applied without re-reading the file.
  */
-export async function parseDocxFile(file) {
+export async function parseDocxFile(file, rules = BUILT_IN_RULE_SETS.find((ruleSet) => ruleSet.id === DEFAULT_RULE_SET_ID).rules) {
   const arrayBuffer = await file.arrayBuffer()
   const result = await mammoth.convertToHtml({ arrayBuffer })
 
@@ -82,137 +88,24 @@ export async function parseDocxFile(file) {
 
   const bodyHtml = tempDiv.innerHTML
 
-  // Plain text (strip all tags)
-  const textContent = tempDiv.textContent.replace(/\s+/g, ' ').trim()
+  // Plain text, unwrapped so tokens can be substituted before wrapping
+  const textContent = htmlToPlainText(bodyHtml)
 
   // Convert known variable regions to {{placeholder}} tokens so applyTemplate()
   // can substitute per-recipient values at send time.
-  const { html: templatedHtml, subject: templatedSubject } = templateizeContent(bodyHtml, subject)
-  const { html: templatedText } = templateizeContent(textContent, '')
+  const source = { html: bodyHtml, text: textContent, subject }
+  const templated = templateizeContent(source, rules)
 
   return {
-    html: templatedHtml,
-    text: templatedText,
-    subject: templatedSubject,
+    html: templated.html,
+    text: templated.text,
+    subject: templated.subject,
     warnings: messages.filter((m) => m.type === 'warning').map((m) => m.message),
+    source,
+    templateizeReport: templated.report,
   }
 }
 
-/**
- * ─── Subject line behaviour — two paths ──────────────────────────────────────
- *
- * PATH 1 — Subject extracted from the docx:
- *   parseDocxFile() pulls the raw subject text (e.g. "Secure Car Transactions")
- *   and passes it through templateizeContent() before it reaches App.jsx.
- *   templateizeContent() rewrites known phrases into {{placeholder}} tokens
- *   (e.g. → "Secure {{Vehicle}} Transactions"), so the subject that lands in the
- *   App.jsx text box already contains tokens ready for resolution at send time.
- *
- * PATH 2 — User types their own subject in the App.jsx text box:
- *   templateizeContent() only runs once, at docx parse time. It never re-runs
- *   on text box edits. So a manually typed subject (e.g. "Secure Car Transactions")
- *   is taken literally — "Car" will go out to every recipient unchanged.
- *   However, if the user explicitly writes a token (e.g. "Secure {{Vehicle}}
- *   Transactions"), applyTemplate() will resolve it correctly at send time.
- *
- * In short: templateizeContent() is a convenience that spares the user from
- * knowing about {{tokens}} when working from a well-formed docx. The text box
- * is a manual escape hatch whose content is treated as a literal string unless
- * the user deliberately includes {{token}} syntax themselves.
- * ─────────────────────────────────────────────────────────────────────────────
- *
- * Replaces known variable regions in the email body HTML and subject line with
- * {{placeholder}} tokens for use with applyTemplate().
- *
- * Each rule targets a specific mutable word or phrase by anchoring on the
- * surrounding literal text. Rules are applied to both the HTML body string
- * and the subject string as appropriate.
- *
- * Template variables introduced:
- *   Subject  — {{Vehicle}}
- *   Body     — {{vehicle}}          (×2)
- *              {{dealerships}}      (×2)
- *              {{your dealership}}  (×2)
- *              {{Auto Dealers}}     (×1)
- *              {{sell luxury vehicles, specialty cars, fleet inventory, or private sales}}  (×1)
- *   Greeting — {{name}}             (handled separately by normalizeDearGreeting)
- */
-function templateizeContent(html, subject) {
-  let body = html
-  let subj = subject
-
-  // ── Subject ────────────────────────────────────────────────────────────────
-
-  // "Secure {Vehicle} Transactions"
-  // Anchor: "Secure " … " Transactions"
-  subj = subj.replace(
-    /(Secure\s+)\S+(\s+Transactions)/i,
-    '$1{{Vehicle}}$2'
-  )
-
-  // ── Body ───────────────────────────────────────────────────────────────────
-
-  // "High-value {vehicle} transactions demand"
-  // Anchor: "High-value " … " transactions demand"
-  body = body.replace(
-    /(High-value\s+)\S+(\s+transactions\s+demand)/i,
-    '$1{{vehicle}}$2'
-  )
-
-  // "modernize {vehicle} transactions"
-  // Anchor: "modernize " … " transactions"
-  body = body.replace(
-    /(\bmodernize\s+)\S+(\s+transactions)/i,
-    '$1{{vehicle}}$2'
-  )
-
-  // "risky for {dealerships}."
-  // Anchor: "risky for " … (word boundary — period/punctuation left untouched by \w+)
-  body = body.replace(
-    /(\brisky\s+for\s+)\w+/i,
-    '$1{{dealerships}}'
-  )
-
-  // "accelerates, {dealerships} that"
-  // Anchor: "accelerates, " … " that"
-  body = body.replace(
-    /(\baccelerates,\s+)\w+(\s+that)/i,
-    '$1{{dealerships}}$2'
-  )
-
-  // "allowing {your dealership} to accept"
-  // Anchor: "allowing " … " to accept"
-  // [\w\s]+? — lazy multi-word match; stops at the first " to accept"
-  body = body.replace(
-    /(\ballowing\s+)[\w\s]+?(\s+to\s+accept)/i,
-    '$1{{your dealership}}$2'
-  )
-
-  // "into {your dealership} operations"
-  // Anchor: "into " … " operations"
-  body = body.replace(
-    /(\binto\s+)[\w\s]+?(\s+operations)/i,
-    '$1{{your dealership}}$2'
-  )
-
-  // "Why {Auto Dealers} Choose"
-  // Anchor: "Why " … " Choose"
-  body = body.replace(
-    /(\bWhy\s+)[\w\s]+?(\s+Choose)/i,
-    '$1{{Auto Dealers}}$2'
-  )
-
-  // "Whether you {sell luxury vehicles, specialty cars, fleet inventory, or private sales}, Shake"
-  // Anchor: "Whether you " … ", Shake"
-  // [^<]+? — lazy match; [^<] prevents crossing HTML tag boundaries
-  body = body.replace(
-    /(\bWhether\s+you\s+)[^<]+?(,\s*Shake)/i,
-    '$1{{sell luxury vehicles, specialty cars, fleet inventory, or private sales}}$2'
-  )
-
-  return { html: body, subject: subj }
-}
-
 /**
  * Replaces "Dear <anything>," or "Dear <anything>:" inside the DOM
  * with "Dear {{name}}," so it is templated per recipient.
@@ -3,20 +3,38 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { useMsal, useIsAuthenticated } from '@azure/msal-react'
 import { loginRequest, marketingContactsRequest } from './authConfig'
 import { parseCsvFile, serializeCsv } from '../parseCsv'
-import { buildMarketingContactPayload, checkMarketingContact, createMarketingContact, createSenderAccount, deleteSenderAccount, fetchAppConfig, fetchContactsActivity, fetchEmailableContacts, fetchSenderAccounts, fetchSenderAccountActivity, getAccessToken, sendEmail, sendEmailViaAccount, updateSenderAccount, verifySenderAccount } from '../graphApi'
+import { buildMarketingContactPayload, checkMarketingContact, createClickRedirectLinks, createMarketingContact, createSenderAccount, createUnsubscribeLink, deleteSenderAccount, fetchAppConfig, fetchContactsActivity, fetchEmailableContacts, fetchSenderAccounts, fetchSenderAccountActivity, fetchCampaignRuleSet, fetchTemplateFieldMapping, getAccessToken, GRAPH_BATCH_MAX_REQUESTS, saveCampaignRuleSet, sendEmail, sendEmailsInBatches, sendEmailViaAccount, sendWithRetry, updateSenderAccount, verifySenderAccount } from '../graphApi'
 import Header from './components/Header'
 import SenderAccountManager from './SenderAccountManager'
-import { applyTemplate, buildTemplateVariables, stripUnresolvedTokens } from './utils/template'
+import UnsubscribeReasonReport from './UnsubscribeReasonReport'
+import TemplateizeRulesEditor from './TemplateizeRulesEditor'
+import TemplateFieldMappingEditor from './TemplateFieldMappingEditor'
+import { applyTemplate, buildTemplateVariables, DEFAULT_TEMPLATE_FIELD_MAPPING, describeTemplateTokens, findTemplateErrors, findUnresolvedTokens, stripUnresolvedTokens, TEMPLATE_FALLBACK_KEYS } from './utils/template'
 import { findCurrentDay } from './utils/dayEstimator'
+import { formatBytes, readFileAsAttachment, validateAttachments } from './utils/attachments'
+import { extractInlineImages } from './utils/inlineImages'
+import { UNSUBSCRIBE_PAGE_URL, buildListUnsubscribeHeaders, withUnsubscribeLanguage } from './utils/unsubscribe'
+import { parseAddressList } from './utils/addresses'
+import { htmlToPlainText, wrapPlainText } from './utils/plainText'
+import { clearSendRun, getPendingRunRecipients, loadSendRun, saveSendRun } from './utils/runStore'
+import { lintCampaignContent } from './utils/contentLint'
+import { assertNotClipped, CLIP_SAFETY_MARGIN_BYTES, GMAIL_CLIP_BYTES, measureMessageSize } from './utils/messageSize'
+import { addUtmParameters, collectTrackableUrls, parseDomainList, rewriteHtmlLinks, rewriteTextLinks, slugifyCampaignName } from './utils/linkTracking'
+import { BUILT_IN_RULE_SETS, DEFAULT_RULE_SET_ID, isSameRuleSet, loadCustomRuleSets, saveCustomRuleSets, templateizeContent } from './utils/templateize'
 import shakeLogoDataUri from './assets/shake-logo_horizontal_grey.png?inline'
 
 const SHAKE_SITE_URL = 'https://shakedefi.com'
 
-const buildEmailSignatureHtml = (language) => {
+// The logo stays a data: URI here so the preview panel can render it; the
+// data-cid attribute pins its content id when extractInlineImages() turns it
+// into a cid: inline attachment at send time. Sends pass the recipient's
+// signed unsubscribe URL; the preview falls back to the bare page.
+const buildEmailSignatureHtml = (language, unsubscribeUrl = UNSUBSCRIBE_PAGE_URL) => {
+  const href = withUnsubscribeLanguage(unsubscribeUrl, language).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
   const unsubscribeLink = language === 'ES'
-    ? `<a href="https://shakedefi.email/unsubscribe" style="color:inherit;text-decoration:underline;">Cancelar suscripción</a> o responda "UnSub" si no desea recibir más correos nuestros.`
-    : `<a href="https://shakedefi.email/unsubscribe" style="color:inherit;text-decoration:underline;">Unsubscribe</a> or reply with "UnSub" if you don't want this email from us.`
-  return `<div style="margin-top:24px;text-align:center;"><a href="${SHAKE_SITE_URL}" target="_blank" rel="noopener noreferrer" style="display:inline-block;text-decoration:none;border:0;"><img src="${shakeLogoDataUri}" alt="Shake Defi" border="0" style="display:block;max-width:192px;width:100%;height:auto;border:0;outline:none;text-decoration:none;"></a></div><div style="margin-top:24px;text-align:center;font-size:0.78rem;opacity:0.55;"><p style="margin:4px 0;">Shake Defi, Inc. | 280 N Market St, Unit 321 | Brookfield, WI, 53045, United States</p><p style="margin:4px 0;">${unsubscribeLink}</p></div>`
+    ? `<a href="${href}" style="color:inherit;text-decoration:underline;">Cancelar suscripción</a> o responda "UnSub" si no desea recibir más correos nuestros.`
+    : `<a href="${href}" style="color:inherit;text-decoration:underline;">Unsubscribe</a> or reply with "UnSub" if you don't want this email from us.`
+  return `<div style="margin-top:24px;text-align:center;"><a href="${SHAKE_SITE_URL}" target="_blank" rel="noopener noreferrer" style="display:inline-block;text-decoration:none;border:0;"><img src="${shakeLogoDataUri}" data-cid="shake-logo" alt="Shake Defi" border="0" style="display:block;max-width:192px;width:100%;height:auto;border:0;outline:none;text-decoration:none;"></a></div><div style="margin-top:24px;text-align:center;font-size:0.78rem;opacity:0.55;"><p style="margin:4px 0;">Shake Defi, Inc. | 280 N Market St, Unit 321 | Brookfield, WI, 53045, United States</p><p style="margin:4px 0;">${unsubscribeLink}</p></div>`
 }
 import './App.css'
 
@@ -40,9 +58,12 @@ const formatLocalTimestamp = (date = new Date()) => {
 
 const getResultIcon = (status) => {
   if (status === 'sent') return '✅'
+  if (status === 'seed') return '🌱'
   if (status === 'checked-only') return '�'
   if (status === 'skipped-not-emailable') return '⚠️'
   if (status === 'skipped-contacted' || status === 'skipped-duplicate') return '⏭️'
+  if (status === 'retrying') return '🔁'
+  if (status === 'cancelled') return '⏹️'
   return 'ℹ️'
 }
 
@@ -65,9 +86,17 @@ const formatSendResultLine = (result) => {
     'skipped-contacted': 'SKIP',
     'skipped-duplicate': 'SKIP',
     'skipped-not-emailable': 'SKIP',
+    retrying: 'RETRY',
     failed: 'FAIL',
+    cancelled: 'STOP',
+    seed: 'SEED',
+    'seed-failed': 'FAIL',
   }[result.status] || 'INFO'
 
+  if (result.status === 'cancelled') {
+    return `${getResultIcon(result.status)} ${statusLabel} Send All cancelled, ${result.remaining} recipients left in the queue`
+  }
+
   let line = `${getResultIcon(result.status)} ${statusLabel} ${result.email}`
 
   if (result.status === 'checked-only') {
@@ -85,12 +114,21 @@ const formatSendResultLine = (result) => {
       ? ` ${eligibilityReason}; contact is not emailable`
       : ' contact is not emailable'
   }
+  if (result.status === 'seed' || result.status === 'seed-failed') {
+    line += ' seed-list placement check'
+  }
+  if (result.status === 'retrying') {
+    line += ` throttled on attempt ${result.attempt}, retrying in ${formatDuration(result.delayMs)}`
+  }
   if (result.rationale) {
     line += ` rationale=${result.rationale}`
   }
   if (result.error) {
     line += ` ${result.error}`
   }
+  if (result.status === 'failed' && result.attempts > 1) {
+    line += ` (after ${result.attempts} attempts)`
+  }
 
   return line
 }
@@ -136,6 +174,20 @@ const formatDuration = (ms) => {
 }
 
 const DAY_MS = 24 * 60 * 60 * 1000
+// CRM capture mailbox the "Archive BCC" option copies every send to.
+const DEFAULT_ARCHIVE_BCC = (import.meta.env.VITE_CRM_ARCHIVE_BCC || '').trim()
+// Internal inboxes (Gmail, Outlook, Yahoo, …) that receive test sends and,
+// during auto-send, a copy of the campaign every few real sends so inbox
+// placement can be checked mid-ramp.
+const SEED_LIST = parseAddressList(import.meta.env.VITE_SEED_LIST || '').addresses
+const DEFAULT_SEED_SEND_INTERVAL = parseInt(import.meta.env.VITE_SEED_SEND_INTERVAL, 10) || 50
+// Hosts whose links are never UTM-tagged or wrapped in click redirects.
+const DEFAULT_TRACKING_EXCLUDED_DOMAINS = import.meta.env.VITE_LINK_TRACKING_EXCLUDED_DOMAINS || ''
+const DEFAULT_MAX_SEND_ATTEMPTS = 4
+const MAX_SEND_ATTEMPTS_LIMIT = 10
+// Send progress snapshots (queue, Send Log and CSV rows) are written to
+// IndexedDB at most this often; the latest one always gets written.
+const SEND_RUN_SAVE_INTERVAL_MS = 2000
 const CAMPAIGN_CURVE_A = 0.246
 const CAMPAIGN_CURVE_C = 1.75
 
@@ -262,7 +314,15 @@ export default function App() {
   const account = accounts[0]
   const sendLogRef = useRef(null)
   const eligibilityCache = useRef(new Map())
+  const pendingSendRunRef = useRef(null)
+  const sendRunSaveTimerRef = useRef(null)
+  const lastSendRunSaveAtRef = useRef(0)
   const autoSendInProgressRef = useRef(false)
+  // Real auto-sends since the seed list last went out.
+  const realSendsSinceSeedRef = useRef(0)
+  // 'running' | 'paused' | 'cancelled', read by the Send All loop between
+  // recipients; sendAllControl mirrors it for rendering.
+  const sendAllControlRef = useRef('running')
   const autoDbLoadInProgressRef = useRef(false)
   const autoDbLoadExhaustedRef = useRef(false)
   const activityRefreshInProgressRef = useRef(false)
@@ -271,13 +331,64 @@ export default function App() {
   const MAX_DB_RECIPIENT_LOAD = 500
 
   const [docxData, setDocxData] = useState(null)
+  // The DOCX content before templateize rules ran, so another rule set can be
+  // applied without re-uploading, and the last run's per-rule match report.
+  const [docxSource, setDocxSource] = useState(null)
+  const [templateizeReport, setTemplateizeReport] = useState([])
+  const [templateizeRuleSets, setTemplateizeRuleSets] = useState(() => [...BUILT_IN_RULE_SETS, ...loadCustomRuleSets()])
+  const [templateizeRuleSetId, setTemplateizeRuleSetId] = useState(DEFAULT_RULE_SET_ID)
+  const [showTemplateizeEditor, setShowTemplateizeEditor] = useState(false)
+  // The subject the rules last produced; a rule set change only replaces the
+  // subject box while it still holds that value, never a hand-edited subject.
+  const templatedSubjectRef = useRef('')
   const [csvData, setCsvData] = useState(null)
   const [subject, setSubject] = useState('')
+  // Files attached to every email in the campaign, already base64-encoded.
+  const [attachments, setAttachments] = useState([])
   const [defaultName, setDefaultName] = useState('Auto Dealer')
+  // Raw text of the "Max send attempts" input; throttled sends (429, 503 with
+  // Retry-After, MailboxConcurrency, ApplicationThrottled) are retried up to
+  // this many times.
+  const [maxSendAttempts, setMaxSendAttempts] = useState(String(DEFAULT_MAX_SEND_ATTEMPTS))
+  // Raw text of the "Seed list every N sends" input; 0 turns seeding off.
+  const [seedSendInterval, setSeedSendInterval] = useState(String(DEFAULT_SEED_SEND_INTERVAL))
+  // Send All only: dispatch default-mailbox sends through Graph $batch.
+  const [batchGraphSends, setBatchGraphSends] = useState(false)
+  // Campaign-level Reply-To / CC / BCC, as typed (comma or space separated).
+  const [replyToText, setReplyToText] = useState('')
+  const [ccText, setCcText] = useState('')
+  const [bccText, setBccText] = useState('')
+  const [archiveBccEnabled, setArchiveBccEnabled] = useState(Boolean(DEFAULT_ARCHIVE_BCC))
+  const [archiveBccAddress, setArchiveBccAddress] = useState(DEFAULT_ARCHIVE_BCC)
+  // Link tracking: UTM tags on every body link, optionally wrapped in a
+  // per-recipient click redirect served by MessageHub.
+  const [utmTaggingEnabled, setUtmTaggingEnabled] = useState(false)
+  const [clickRedirectsEnabled, setClickRedirectsEnabled] = useState(false)
+  const [trackingCampaignName, setTrackingCampaignName] = useState('')
+  const [trackingExcludedDomainsText, setTrackingExcludedDomainsText] = useState(DEFAULT_TRACKING_EXCLUDED_DOMAINS)
+  // The campaign's stored contact-field-to-template mapping; null means the
+  // campaign has none and DEFAULT_TEMPLATE_FIELD_MAPPING applies.
+  const [templateFieldMapping, setTemplateFieldMapping] = useState(null)
+  const [campaignSettingsStatus, setCampaignSettingsStatus] = useState({ loading: false, error: '' })
+  const [campaignSettingsReloadKey, setCampaignSettingsReloadKey] = useState(0)
+  // The templateize rule set saved for the campaign, or null when it has none.
+  const [campaignRuleSet, setCampaignRuleSet] = useState(null)
+  const [campaignRuleSetSaveStatus, setCampaignRuleSetSaveStatus] = useState({ saving: false, error: '' })
+  // Latest applyCampaignRuleSet(), for the campaign settings loader to call
+  // once a slow fetch returns.
+  const applyCampaignRuleSetRef = useRef(null)
+  const [showFieldMappingEditor, setShowFieldMappingEditor] = useState(false)
   const [error, setError] = useState('')
   const [selectedRecipient, setSelectedRecipient] = useState(0)
   const [sending, setSending] = useState(false)
   const [sendResults, setSendResults] = useState([])
+  const [sendAllControl, setSendAllControl] = useState('running')
+  // "Retry failed" panel: open flag plus the emails unticked by the operator.
+  const [showRetryFailed, setShowRetryFailed] = useState(false)
+  const [retryExclusions, setRetryExclusions] = useState(() => new Set())
+  // "Send test": 'me' (the signed-in user) or 'seed' (SEED_LIST).
+  const [testSendTarget, setTestSendTarget] = useState('me')
+  const [testSendStatus, setTestSendStatus] = useState({ sending: false, message: '', error: '' })
   const [updatedCsvContent, setUpdatedCsvContent] = useState('')
   const [nvidiaApiKey, setNvidiaApiKey] = useState(null)
   const [activityBins, setActivityBins] = useState(null)
@@ -289,14 +400,21 @@ export default function App() {
   // one sender's local counts over onto another's.
   const [sessionSentCounts, setSessionSentCounts] = useState({})
   const [localLastSendAts, setLocalLastSendAts] = useState({})
+  // Seed-list sends, keyed the same way but kept out of sessionSentCounts so
+  // they never count towards the campaign curve.
+  const [seedSendCounts, setSeedSendCounts] = useState({})
   const [scheduledNextSendAt, setScheduledNextSendAt] = useState(null)
   const [senderAccounts, setSenderAccounts] = useState([])
   const [selectedSenderAccountId, setSelectedSenderAccountId] = useState('')
   const [showAccountManager, setShowAccountManager] = useState(false)
+  const [showUnsubscribeReport, setShowUnsubscribeReport] = useState(false)
+  // Snapshot of an unfinished run found in IndexedDB, offered for resume.
+  const [resumableRun, setResumableRun] = useState(null)
   const [senderAccountActivity, setSenderAccountActivity] = useState(null)
 
   const activeSenderKey = selectedSenderAccountId || 'default'
   const sessionSentCount = sessionSentCounts[activeSenderKey] || 0
+  const seedSendCount = seedSendCounts[activeSenderKey] || 0
   const localLastSendAt = localLastSendAts[activeSenderKey] || null
 
   // When a sender account is selected from the "Send from" dropdown, switch all
@@ -378,6 +496,11 @@ export default function App() {
   }, [effectiveActivityBins, parsedTargetOverride])
   const [parsedDocxHtml, setParsedDocxHtml] = useState('')
   const [previewEligibility, setPreviewEligibility] = useState(null)
+  // Bumped on every eligibilityCache write, so what's derived from the cache
+  // (the pre-send check) recomputes when it fills.
+  const [eligibilityCacheVersion, setEligibilityCacheVersion] = useState(0)
+  const [contentLint, setContentLint] = useState(null)
+  const [contentLintPending, setContentLintPending] = useState(false)
   const [dbRecipientsLoading, setDbRecipientsLoading] = useState(false)
   const [dbLoadLimit, setDbLoadLimit] = useState(String(MAX_DB_RECIPIENT_LOAD))
   const [languageFilter, setLanguageFilter] = useState('EN')
@@ -457,19 +580,149 @@ export default function App() {
     setSelectedSenderAccountId('')
   }, [senderAccounts, selectedSenderAccountId])
 
+  const parsedSeedSendInterval = useMemo(() => {
+    const value = parseInt(seedSendInterval, 10)
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SEED_SEND_INTERVAL
+  }, [seedSendInterval])
+
+  const parsedMaxSendAttempts = useMemo(() => {
+    const value = parseInt(maxSendAttempts, 10)
+    if (!Number.isFinite(value) || value < 1) return DEFAULT_MAX_SEND_ATTEMPTS
+    return Math.min(value, MAX_SEND_ATTEMPTS_LIMIT)
+  }, [maxSendAttempts])
+
+  // The same Reply-To / CC / BCC apply to every email in the campaign; the
+  // archive address, when enabled, is just one more BCC.
+  const campaignAddresses = useMemo(() => {
+    const replyTo = parseAddressList(replyToText)
+    const cc = parseAddressList(ccText)
+    const bcc = parseAddressList(bccText)
+    const archive = archiveBccEnabled ? parseAddressList(archiveBccAddress) : { addresses: [], invalid: [] }
+
+    const errors = [
+      ...replyTo.invalid.map((entry) => `Reply-To "${entry}" is not a valid email address.`),
+      ...cc.invalid.map((entry) => `CC "${entry}" is not a valid email address.`),
+      ...bcc.invalid.map((entry) => `BCC "${entry}" is not a valid email address.`),
+      ...archive.invalid.map((entry) => `Archive BCC "${entry}" is not a valid email address.`),
+    ]
+    if (archiveBccEnabled && !archive.addresses.length && !archive.invalid.length) {
+      errors.push('Enter the archive BCC address or turn Archive BCC off.')
+    }
+
+    return {
+      replyTo: replyTo.addresses,
+      cc: cc.addresses,
+      bcc: [...new Set([...bcc.addresses, ...archive.addresses])],
+      error: errors[0] || '',
+    }
+  }, [replyToText, ccText, bccText, archiveBccEnabled, archiveBccAddress])
+
+  // Data-URI images (the signature logo, DOCX images) go out as cid: inline
+  // attachments alongside the campaign attachments on every send path, along
+  // with the campaign's Reply-To / CC / BCC unless the message sets its own.
+  // The final HTML, with the real unsubscribe link and link rewrites, must
+  // still be under Gmail's clipping limit; the pre-send check only estimates.
+  const buildOutgoingMessage = ({ htmlBody, ...message }) => {
+    const { html: cidHtmlBody, inlineAttachments } = extractInlineImages(htmlBody)
+    assertNotClipped(cidHtmlBody)
+    return {
+      replyTo: campaignAddresses.replyTo,
+      cc: campaignAddresses.cc,
+      bcc: campaignAddresses.bcc,
+      ...message,
+      htmlBody: cidHtmlBody,
+      attachments: [...inlineAttachments, ...attachments],
+    }
+  }
+
+  const logSendRetry = (email, { attempt, delayMs, error: retryError }) => {
+    setSendResults((prev) => [
+      ...prev,
+      { email, status: 'retrying', attempt, delayMs, error: retryError.message },
+    ])
+  }
+
   // Sends through either the signed-in Graph mailbox (default) or a
   // backend-proxied alternate account, depending on the user's selection.
-  const sendPersonalizedEmail = (graphToken, { toEmail, toName, subject: emailSubject, htmlBody }) => (
-    selectedSenderAccountId
-      ? sendEmailViaAccount(
-          graphToken,
-          selectedSenderAccountId,
-          { toEmail, toName, subject: emailSubject, htmlBody },
-          { clientId: account.username }
-        )
-      : sendEmail(graphToken, toEmail, toName, emailSubject, htmlBody)
+  // Throttled sends are retried in place, with each retry logged to the Send
+  // Log, so a recipient is only reported failed once its attempts run out.
+  // `internal` marks test and seed-list sends, which the backend keeps out of
+  // marketing.contacts and the sender account's activity.
+  const sendPersonalizedEmail = (graphToken, personalizedMessage, { internal = false } = {}) => {
+    const message = buildOutgoingMessage(personalizedMessage)
+
+    return sendWithRetry(
+      () => (
+        selectedSenderAccountId
+          ? sendEmailViaAccount(graphToken, selectedSenderAccountId, message, { clientId: account.username, internal })
+          : sendEmail(graphToken, message.toEmail, message.toName, message.subject, message.htmlBody, message.cc, {
+              attachments: message.attachments,
+              headers: message.headers,
+              bcc: message.bcc,
+              replyTo: message.replyTo,
+              textBody: message.textBody,
+            })
+      ),
+      {
+        maxAttempts: parsedMaxSendAttempts,
+        onRetry: (info) => logSendRetry(message.toEmail, info),
+      }
+    )
+  }
+
+  // Every marketing send carries a signed, recipient-specific unsubscribe link
+  // in its footer and the matching one-click List-Unsubscribe headers.
+  const fetchRecipientUnsubscribeLink = (graphToken, email) => (
+    createUnsubscribeLink(graphToken, email, { clientId: account.username, language: languageFilter })
   )
 
+  const trackingCampaign = slugifyCampaignName(trackingCampaignName || subject)
+  const trackingExcludedDomains = useMemo(() => parseDomainList(trackingExcludedDomainsText), [trackingExcludedDomainsText])
+  // Field mappings and templateize rule sets are only stored under an
+  // explicit campaign name, never the subject, so editing the subject can't
+  // switch to another campaign's settings.
+  const fieldMappingCampaign = slugifyCampaignName(trackingCampaignName)
+
+  // Loads the campaign's field mapping and templateize rule set once its
+  // name has settled, switching to the stored rule set if there is one.
+  // Sending waits while they load, and stays blocked if loading fails until
+  // a retry succeeds, rather than quietly personalizing with the built-in
+  // mapping or this browser's rule set.
+  useEffect(() => {
+    if (!isAuthenticated || !account || !canRunApiFlow || !fieldMappingCampaign) {
+      setTemplateFieldMapping(null)
+      setCampaignRuleSet(null)
+      setCampaignSettingsStatus({ loading: false, error: '' })
+      return
+    }
+    let cancelled = false
+    setCampaignSettingsStatus({ loading: true, error: '' })
+    const timer = setTimeout(() => {
+      getAccessToken(instance, account, loginRequest)
+        .then((token) => Promise.all([
+          fetchTemplateFieldMapping(token, fieldMappingCampaign, { clientId: account.username }),
+          fetchCampaignRuleSet(token, fieldMappingCampaign, { clientId: account.username }),
+        ]))
+        .then(([mapping, ruleSet]) => {
+          if (cancelled) return
+          setTemplateFieldMapping(mapping)
+          setCampaignRuleSet(ruleSet)
+          if (ruleSet) applyCampaignRuleSetRef.current?.(ruleSet)
+          setCampaignSettingsStatus({ loading: false, error: '' })
+        })
+        .catch((e) => {
+          if (cancelled) return
+          setTemplateFieldMapping(null)
+          setCampaignRuleSet(null)
+          setCampaignSettingsStatus({ loading: false, error: `Couldn't load the field mapping and templateize rules for ${fieldMappingCampaign} (${e.message}).` })
+        })
+    }, 600)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isAuthenticated, account, instance, canRunApiFlow, fieldMappingCampaign, campaignSettingsReloadKey])
+
   // The address an email actually goes out FROM, as opposed to account.username
   // (the operator) -- the alternate sender account's own email when one is
   // selected, otherwise the signed-in Graph mailbox. Used to populate
@@ -537,6 +790,18 @@ export default function App() {
     return () => clearInterval(id)
   }, [])
 
+  // Offer to resume a run the previous page load didn't finish.
+  useEffect(() => {
+    if (!account?.username) return
+    let cancelled = false
+    loadSendRun(account.username)
+      .then((run) => {
+        if (!cancelled && run && getPendingRunRecipients(run).length) setResumableRun(run)
+      })
+      .catch((e) => console.warn('[Shake Marketing] could not read saved send run:', e))
+    return () => { cancelled = true }
+  }, [account?.username])
+
   const handleSenderAccountsChanged = useCallback((updatedList) => {
     setSenderAccounts(updatedList)
   }, [])
@@ -605,6 +870,8 @@ export default function App() {
     ? 'Upload a DOCX to start auto-send.'
     : !subject.trim()
       ? 'Enter a subject to start auto-send.'
+      : campaignAddresses.error
+        ? campaignAddresses.error
       : !sendSchedule
         ? 'Waiting for pacing estimate.'
         : !csvData?.recipients?.length && !canAutoLoadRecipientsFromDb
@@ -701,9 +968,17 @@ export default function App() {
     setDbLoadLimit(String(projectedNext24HourRecipientLoad))
   }, [projectedNext24HourRecipientLoad, csvData])
 
+  const nextIsSeed = Boolean(csvData?.recipients?.[0]?.seed)
+
   useEffect(() => {
     if (!autoSending) {
       setScheduledNextSendAt(null)
+      // Seed entries only make sense inside auto-send; drop any left queued.
+      setCsvData((prev) => (
+        prev?.recipients?.some((recipient) => recipient.seed)
+          ? { ...prev, recipients: prev.recipients.filter((recipient) => !recipient.seed) }
+          : prev
+      ))
       return
     }
     if (!dayEstimate) {
@@ -717,6 +992,23 @@ export default function App() {
       return
     }
 
+    const runNextAutoSend = async () => {
+      if (autoSendInProgressRef.current) return
+      autoSendInProgressRef.current = true
+      try {
+        await sendNextRecipient()
+      } finally {
+        autoSendInProgressRef.current = false
+      }
+    }
+
+    // Queued seed-list entries go out back to back, outside the pacing: they
+    // don't move the last-send time the next real send is scheduled from.
+    if (nextIsSeed) {
+      const timer = setTimeout(runNextAutoSend, 0)
+      return () => clearTimeout(timer)
+    }
+
     const scheduleStartTime = Date.now()
     const withinWindow = isWithinGmtSendWindow()
     const windowStartMs = getGmtWindowStartMs()
@@ -766,18 +1058,10 @@ export default function App() {
     const nextSendTime = scheduleStartTime + delay
     setScheduledNextSendAt(nextSendTime)
 
-    const timer = setTimeout(async () => {
-      if (autoSendInProgressRef.current) return
-      autoSendInProgressRef.current = true
-      try {
-        await sendNextRecipient()
-      } finally {
-        autoSendInProgressRef.current = false
-      }
-    }, delay)
+    const timer = setTimeout(runNextAutoSend, delay)
 
     return () => clearTimeout(timer)
-  }, [autoSending, dayEstimate, effectiveActivityBins, remainingDailyTarget, csvData?.recipients?.length, activeLastSendAt, canAutoLoadRecipientsFromDb])
+  }, [autoSending, dayEstimate, effectiveActivityBins, remainingDailyTarget, csvData?.recipients?.length, nextIsSeed, activeLastSendAt, canAutoLoadRecipientsFromDb])
 
   let parseDocxModulePromise
 
@@ -803,7 +1087,8 @@ export default function App() {
 
   // Returns a copy of recipient with name fields filled in from either the
   // backend-resolved template name or the UI defaultName, but only when the
-  // recipient itself has no usable name fields.
+  // recipient itself has no usable name fields. Fields filled from defaultName
+  // are marked as fallbacks so a token's own `| default:` wins over them.
   const withDefaultName = (recipient, preferredName = '') => {
     const normalizedRecipient = normalizeRecipientGreetingName(recipient)
     const fallback = String(preferredName || defaultName || '').trim()
@@ -822,6 +1107,7 @@ export default function App() {
       fullname: normalizedFallback,
       first_name: normalizedRecipient.first_name || normalizedFallback,
       firstname: normalizedRecipient.firstname || normalizedFallback,
+      ...(preferredName ? {} : { [TEMPLATE_FALLBACK_KEYS]: ['name', 'full_name', 'fullname', 'first_name', 'firstname'] }),
     }
   }
 
@@ -832,10 +1118,126 @@ export default function App() {
     )
     return {
       resolvedRecipient,
-      templateVariables: buildTemplateVariables(resolvedRecipient, backendTemplateVariables, language),
+      templateVariables: buildTemplateVariables(resolvedRecipient, backendTemplateVariables, language, templateFieldMapping || DEFAULT_TEMPLATE_FIELD_MAPPING),
     }
   }
 
+  // Personalizes the DOCX body for one recipient and appends the signature,
+  // as HTML and as the wrapped plain-text alternative sent alongside it.
+  // `linkRewrites` (see fetchRecipientLinkRewrites) only touches the body;
+  // the signature, with its unsubscribe link, is appended afterwards.
+  const buildPersonalizedBodies = (templateVariables, unsubscribeUrl, linkRewrites = null) => {
+    const signatureHtml = buildEmailSignatureHtml(languageFilter, unsubscribeUrl)
+    const bodyText = rewriteTextLinks(stripUnresolvedTokens(applyTemplate(docxData.text || '', templateVariables)), linkRewrites)
+    return {
+      htmlBody: rewriteHtmlLinks(stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables, { html: true })), linkRewrites) + signatureHtml,
+      textBody: wrapPlainText(`${bodyText}\n\n${htmlToPlainText(signatureHtml)}`),
+    }
+  }
+
+  // Original → UTM-tagged URL for each trackable link in the personalized
+  // body, or null when tagging is off. utm_term names the sender by its
+  // account id ("default" for the signed-in mailbox), never its address:
+  // recipients and analytics tools see these links.
+  const buildUtmLinkRewrites = (templateVariables) => {
+    if (!utmTaggingEnabled) return null
+    const utm = {
+      utm_source: 'email',
+      utm_medium: 'email',
+      utm_campaign: trackingCampaign,
+      utm_content: languageFilter.toLowerCase(),
+      utm_term: selectedSenderAccountId || 'default',
+    }
+    const urls = collectTrackableUrls(stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables, { html: true })), trackingExcludedDomains)
+    return new Map(urls.map((url) => [url, addUtmParameters(url, utm)]))
+  }
+
+  // The link rewrites for one send: UTM tags, then, when click redirects are
+  // on, each tagged link swapped for its per-recipient redirect. Test and
+  // seed sends pass `redirect: false` so they never register as clicks.
+  const fetchRecipientLinkRewrites = async (graphToken, email, templateVariables, { redirect = clickRedirectsEnabled } = {}) => {
+    const rewrites = buildUtmLinkRewrites(templateVariables) ?? (redirect
+      ? new Map(collectTrackableUrls(stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables, { html: true })), trackingExcludedDomains).map((url) => [url, url]))
+      : null)
+    if (!redirect || !rewrites.size) return rewrites
+
+    const links = await createClickRedirectLinks(graphToken, email, [...new Set(rewrites.values())], {
+      clientId: account.username,
+      campaign: trackingCampaign,
+    })
+    const redirectByUrl = new Map(links.map((link) => [link.url, link.redirectUrl]))
+    return new Map([...rewrites].map(([original, tagged]) => [original, redirectByUrl.get(tagged) || tagged]))
+  }
+
+  const rememberEligibility = (email, eligibility) => {
+    eligibilityCache.current.set(email, eligibility)
+    setEligibilityCacheVersion((version) => version + 1)
+  }
+
+  // Pre-send check over the DOCX, the subject and every queued recipient.
+  // With an empty queue (auto-send loading from the database) the template
+  // defaults are checked instead. Recipients are personalized with the
+  // MessageHub variables the send would use where the contact check has
+  // already fetched them (eligibilityCache); for the rest those variables
+  // are only known at send time.
+  //
+  // Personalizing and parsing every recipient's HTML is too slow for each
+  // keystroke, so the check runs once edits pause, and not at all while a
+  // run is sending (the cache fills on every send). Sending waits for it.
+  useEffect(() => {
+    if (sending || autoSending) return
+    if (!docxData?.html) {
+      setContentLint(null)
+      setContentLintPending(false)
+      return
+    }
+    setContentLintPending(true)
+    const timer = setTimeout(() => {
+      const getEligibility = (recipient) => eligibilityCache.current.get(String(recipient.email || '').trim().toLowerCase())
+      setContentLint(lintCampaignContent({
+        subject,
+        html: docxData.html,
+        signatureHtml: buildEmailSignatureHtml(languageFilter),
+        recipients: (csvData?.recipients || []).filter((recipient) => !recipient.seed),
+        getTemplateVariables: (recipient) => getTemplateVariablesForRecipient(
+          recipient,
+          getEligibility(recipient)?.template_variables || {},
+          languageFilter
+        ).templateVariables,
+        hasBackendVariables: (recipient) => !canRunApiFlow || Boolean(getEligibility(recipient)),
+      }))
+      setContentLintPending(false)
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [docxData, subject, csvData?.recipients, defaultName, languageFilter, templateFieldMapping, eligibilityCacheVersion, canRunApiFlow, sending, autoSending])
+
+  const contentLintBlockReason = contentLintPending
+    ? 'Wait for the pre-send check to finish.'
+    : contentLint?.errors.length
+      ? `Fix the ${contentLint.errors.length === 1 ? 'error' : `${contentLint.errors.length} errors`} in the pre-send check first.`
+      : ''
+  const campaignSettingsBlockReason = campaignSettingsStatus.loading
+    ? "Wait for the campaign's field mapping and templateize rules to load."
+    : campaignSettingsStatus.error ? "The campaign's field mapping and templateize rules didn't load; retry before sending." : ''
+  const sendBlockReason = contentLintBlockReason
+    || validateAttachments(attachments, { viaSenderAccount: Boolean(selectedSenderAccountId) })
+    || campaignSettingsBlockReason
+  const autoSendStartBlockReason = autoSendDisabledReason || sendBlockReason
+
+  const activeTemplateizeRuleSet = templateizeRuleSets.find((ruleSet) => ruleSet.id === templateizeRuleSetId)
+    || templateizeRuleSets[0]
+
+  const applyTemplatedDocx = (templated, { keepSubject = false } = {}) => {
+    setDocxData((prev) => ({ ...prev, html: templated.html, text: templated.text, subject: templated.subject }))
+    setTemplateizeReport(templated.report)
+    setParsedDocxHtml(templated.html || '')
+    if (!keepSubject) setSubject(templated.subject)
+    templatedSubjectRef.current = templated.subject
+
+    const templateErrors = findTemplateErrors(templated.html)
+    if (templateErrors.length) setError(`DOCX template error: ${templateErrors.join(' ')}`)
+  }
+
   const handleDocxUpload = async (event) => {
     const file = event.target.files?.[0]
     if (!file) return
@@ -843,17 +1245,80 @@ export default function App() {
     setError('')
     try {
       const { parseDocxFile } = await loadParseDocxModule()
-      const parsed = await parseDocxFile(file)
+      const parsed = await parseDocxFile(file, activeTemplateizeRuleSet.rules)
 
       setDocxData(parsed)
-      setSubject(parsed.subject)
-      setParsedDocxHtml(parsed.html || '')
+      setDocxSource(parsed.source)
+      applyTemplatedDocx({ ...parsed, report: parsed.templateizeReport })
     } catch (e) {
       setParsedDocxHtml('')
       setError(`DOCX parse error: ${e.message}`)
     }
   }
 
+  // Re-runs the chosen rule set over the uploaded DOCX.
+  const selectTemplateizeRuleSet = (ruleSet) => {
+    setTemplateizeRuleSetId(ruleSet.id)
+    if (!docxSource) return
+    setError('')
+    applyTemplatedDocx(templateizeContent(docxSource, ruleSet.rules), {
+      keepSubject: subject !== templatedSubjectRef.current,
+    })
+  }
+
+  const storeCustomRuleSet = (ruleSet) => {
+    const customRuleSets = [
+      ...templateizeRuleSets.filter((existing) => !existing.builtIn && existing.id !== ruleSet.id),
+      ruleSet,
+    ]
+    saveCustomRuleSets(customRuleSets)
+    setTemplateizeRuleSets([...BUILT_IN_RULE_SETS, ...customRuleSets])
+  }
+
+  const handleSaveTemplateizeRuleSet = (ruleSet) => {
+    storeCustomRuleSet(ruleSet)
+    setShowTemplateizeEditor(false)
+    selectTemplateizeRuleSet(ruleSet)
+  }
+
+  // Switches to the rule set stored for the campaign. A custom set is copied
+  // into this browser's sets, replacing any local version with the same id;
+  // a built-in one uses this build's rules.
+  const applyCampaignRuleSet = (ruleSet) => {
+    const builtIn = BUILT_IN_RULE_SETS.find((existing) => existing.id === ruleSet.id)
+    if (!builtIn) storeCustomRuleSet(ruleSet)
+    selectTemplateizeRuleSet(builtIn || ruleSet)
+  }
+
+  useEffect(() => {
+    applyCampaignRuleSetRef.current = applyCampaignRuleSet
+  })
+
+  const handleSaveRuleSetForCampaign = async () => {
+    if (!account || !fieldMappingCampaign) return
+    setCampaignRuleSetSaveStatus({ saving: true, error: '' })
+    try {
+      const token = await getAccessToken(instance, account, loginRequest)
+      const { id, name, rules } = activeTemplateizeRuleSet
+      setCampaignRuleSet(await saveCampaignRuleSet(token, fieldMappingCampaign, { id, name, rules }, { clientId: account.username }))
+      setCampaignRuleSetSaveStatus({ saving: false, error: '' })
+    } catch (e) {
+      setCampaignRuleSetSaveStatus({ saving: false, error: `Couldn't save the rule set for ${fieldMappingCampaign}: ${e.message}` })
+    }
+  }
+
+  const campaignRuleSetMatches = isSameRuleSet(campaignRuleSet, activeTemplateizeRuleSet)
+
+  const handleDeleteTemplateizeRuleSet = (id) => {
+    const customRuleSets = templateizeRuleSets.filter((ruleSet) => !ruleSet.builtIn && ruleSet.id !== id)
+    saveCustomRuleSets(customRuleSets)
+    setTemplateizeRuleSets([...BUILT_IN_RULE_SETS, ...customRuleSets])
+    setShowTemplateizeEditor(false)
+    selectTemplateizeRuleSet(BUILT_IN_RULE_SETS.find((ruleSet) => ruleSet.id === DEFAULT_RULE_SET_ID))
+  }
+
+  const templateizeUnmatched = templateizeReport.filter((entry) => entry.error || entry.matches.length === 0)
+
   const handleCsvUpload = async (event) => {
     const file = event.target.files?.[0]
     if (!file) return
@@ -870,6 +1335,32 @@ export default function App() {
     }
   }
 
+  // Files are validated against the per-file and per-message size limits as a
+  // whole batch, so a rejected pick leaves the existing attachment list intact.
+  const handleAttachmentUpload = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (!files.length) return
+    setError('')
+
+    try {
+      const added = await Promise.all(files.map(readFileAsAttachment))
+      const next = [...attachments, ...added]
+      const validationError = validateAttachments(next, { viaSenderAccount: Boolean(selectedSenderAccountId) })
+      if (validationError) {
+        setError(validationError)
+        return
+      }
+      setAttachments(next)
+    } catch (e) {
+      setError(`Attachment read error: ${e.message}`)
+    }
+  }
+
+  const handleRemoveAttachment = (index) => {
+    setAttachments((prev) => prev.filter((_, i) => i !== index))
+  }
+
   const handleLoadFromDb = async (limitOverride) => {
     if (!account) return false
     const hasLimitOverride = typeof limitOverride === 'number' || typeof limitOverride === 'string'
@@ -969,8 +1460,8 @@ export default function App() {
       previewEligibility?.template_variables || {},
       languageFilter
     )
-    return applyTemplate(docxData.html, templateVariables)
-  }, [docxData, previewRecipient, previewEligibility, defaultName, languageFilter])
+    return rewriteHtmlLinks(applyTemplate(docxData.html, templateVariables, { html: true }), buildUtmLinkRewrites(templateVariables))
+  }, [docxData, previewRecipient, previewEligibility, defaultName, languageFilter, utmTaggingEnabled, trackingCampaign, trackingExcludedDomains, selectedSenderAccountId, templateFieldMapping])
 
   const previewSubject = useMemo(() => {
     if (!subject) return ''
@@ -980,7 +1471,88 @@ export default function App() {
       languageFilter
     )
     return applyTemplate(subject, templateVariables)
-  }, [subject, previewRecipient, previewEligibility, defaultName, languageFilter])
+  }, [subject, previewRecipient, previewEligibility, defaultName, languageFilter, templateFieldMapping])
+
+  const previewUnresolvedTokens = useMemo(
+    () => findUnresolvedTokens(`${previewSubject}\n${previewHtml}`),
+    [previewSubject, previewHtml]
+  )
+
+  // Which contact field, MessageHub variable or default fed each token in
+  // the subject and body for the previewed recipient.
+  const previewTokenSources = useMemo(() => {
+    if (!docxData?.html) return []
+    const { templateVariables } = getTemplateVariablesForRecipient(
+      previewRecipient || {},
+      previewEligibility?.template_variables || {},
+      languageFilter
+    )
+    return describeTemplateTokens(`${subject}\n${docxData.html}`, templateVariables)
+  }, [docxData, subject, previewRecipient, previewEligibility, defaultName, languageFilter, templateFieldMapping])
+
+  // Byte size of the previewed recipient's message as it would be sent. The
+  // real unsubscribe link is only minted at send time; the page URL it is
+  // built on stands in for it.
+  const previewMessageSize = useMemo(() => {
+    if (!docxData?.html) return null
+    const { templateVariables } = getTemplateVariablesForRecipient(
+      previewRecipient || {},
+      previewEligibility?.template_variables || {},
+      languageFilter
+    )
+    const { textBody } = buildPersonalizedBodies(templateVariables, UNSUBSCRIBE_PAGE_URL)
+    return measureMessageSize({
+      bodyHtml: stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables, { html: true })),
+      signatureHtml: buildEmailSignatureHtml(languageFilter, UNSUBSCRIBE_PAGE_URL),
+      textBody,
+      attachments,
+    })
+  }, [docxData, previewRecipient, previewEligibility, defaultName, languageFilter, attachments, templateFieldMapping])
+
+  // Renders the previewed recipient exactly as a real send would (backend
+  // template variables, signature, unsubscribe headers) and mails it to the
+  // operator or the seed list through the selected sender. Nothing is
+  // written to marketing.contacts or the CSV, and CC / BCC are left off so
+  // the CRM archive never sees a test. Unsubscribe links are minted for the
+  // test inbox, not the previewed contact.
+  const handleSendTest = async () => {
+    if (!account || !docxData || !previewRecipient || campaignSettingsBlockReason) return
+    const testEmails = testSendTarget === 'seed' ? SEED_LIST : [account.username.trim().toLowerCase()]
+
+    setTestSendStatus({ sending: true, message: '', error: '' })
+    try {
+      const graphToken = await getAccessToken(instance, account, loginRequest)
+      const previewEmail = previewRecipient.email.trim().toLowerCase()
+      const contactEligibility = eligibilityCache.current.get(previewEmail)
+        ?? await checkMarketingContact(graphToken, previewEmail, { clientId: account.username })
+      rememberEligibility(previewEmail, contactEligibility)
+
+      const { templateVariables } = getTemplateVariablesForRecipient(
+        previewRecipient,
+        contactEligibility.template_variables || {},
+        languageFilter
+      )
+      const personalizedSubject = stripUnresolvedTokens(applyTemplate(subject, templateVariables))
+
+      for (const testEmail of testEmails) {
+        const unsubscribeLink = await fetchRecipientUnsubscribeLink(graphToken, testEmail)
+        const linkRewrites = await fetchRecipientLinkRewrites(graphToken, testEmail, templateVariables, { redirect: false })
+        await sendPersonalizedEmail(graphToken, {
+          toEmail: testEmail,
+          toName: testEmail,
+          subject: `[TEST] ${personalizedSubject}`,
+          ...buildPersonalizedBodies(templateVariables, unsubscribeLink.url, linkRewrites),
+          headers: buildListUnsubscribeHeaders(unsubscribeLink.oneClickUrl),
+          cc: [],
+          bcc: [],
+        }, { internal: true })
+      }
+
+      setTestSendStatus({ sending: false, message: `Test for ${previewEmail} sent to ${testEmails.join(', ')}.`, error: '' })
+    } catch (e) {
+      setTestSendStatus({ sending: false, message: '', error: `Test send failed: ${e.message}` })
+    }
+  }
 
   useEffect(() => {
     if (!sendLogRef.current) return
@@ -1013,7 +1585,7 @@ export default function App() {
       )
       .then((result) => {
         if (cancelled) return
-        eligibilityCache.current.set(normalizedEmail, result)
+        rememberEligibility(normalizedEmail, result)
         setPreviewEligibility(result)
       })
       .catch(() => {
@@ -1023,14 +1595,52 @@ export default function App() {
     return () => { cancelled = true }
   }, [selectedRecipient, csvData, isAuthenticated, account, canRunApiFlow])
 
-  const advanceQueue = () => {
+  // Drops the head of the queue, optionally putting entries (seed-list
+  // checks) in front of the next recipient.
+  const advanceQueue = (insertAtHead = []) => {
     setCsvData((prev) => {
       if (!prev?.recipients?.length) return prev
       const [, ...rest] = prev.recipients
-      return { ...prev, recipients: rest }
+      return { ...prev, recipients: [...insertAtHead, ...rest] }
     })
   }
 
+  // Counts a real auto-send and, every parsedSeedSendInterval of them,
+  // returns the seed list as queue entries.
+  const takeDueSeedRecipients = () => {
+    if (!SEED_LIST.length || !parsedSeedSendInterval) return []
+    realSendsSinceSeedRef.current += 1
+    if (realSendsSinceSeedRef.current < parsedSeedSendInterval) return []
+    realSendsSinceSeedRef.current = 0
+    return SEED_LIST.map((email) => ({ email, seed: true }))
+  }
+
+  // Sends the campaign as a generic recipient (template defaults, no contact
+  // data) to one seed inbox. Nothing touches marketing.contacts, and the send
+  // is tallied in seedSendCounts instead of the pacing counts.
+  const sendSeedRecipient = async (graphToken, seedEmail) => {
+    try {
+      const { templateVariables } = getTemplateVariablesForRecipient({ email: seedEmail }, {}, languageFilter)
+      const unsubscribeLink = await fetchRecipientUnsubscribeLink(graphToken, seedEmail)
+      const linkRewrites = await fetchRecipientLinkRewrites(graphToken, seedEmail, templateVariables, { redirect: false })
+      await sendPersonalizedEmail(graphToken, {
+        toEmail: seedEmail,
+        toName: seedEmail,
+        subject: stripUnresolvedTokens(applyTemplate(subject, templateVariables)),
+        ...buildPersonalizedBodies(templateVariables, unsubscribeLink.url, linkRewrites),
+        headers: buildListUnsubscribeHeaders(unsubscribeLink.oneClickUrl),
+        cc: [],
+        bcc: [],
+      }, { internal: true })
+
+      const key = selectedSenderAccountId || 'default'
+      setSeedSendCounts((prev) => ({ ...prev, [key]: (prev[key] || 0) + 1 }))
+      setSendResults((prev) => [...prev, { email: seedEmail, status: 'seed' }])
+    } catch (e) {
+      setSendResults((prev) => [...prev, { email: seedEmail, status: 'seed-failed', error: e.message, attempts: e.attempts }])
+    }
+  }
+
   // Cached activity requirement: only successful email sends update Last send,
   // Sent this session, Sent today, and downstream pacing calculations -- without
   // an extra DB round trip per send. Keyed by sender identity so this stays
@@ -1042,6 +1652,81 @@ export default function App() {
     setSessionSentCounts((prev) => ({ ...prev, [key]: (prev[key] || 0) + 1 }))
   }
 
+  // Fire-and-forget: a failed write only costs the ability to resume.
+  const writePendingSendRun = useCallback(() => {
+    clearTimeout(sendRunSaveTimerRef.current)
+    sendRunSaveTimerRef.current = null
+    const pending = pendingSendRunRef.current
+    if (!pending) return
+    pendingSendRunRef.current = null
+    lastSendRunSaveAtRef.current = Date.now()
+    saveSendRun(pending.ownerId, pending.run)
+      .catch((e) => console.warn('[Shake Marketing] could not save send progress:', e))
+  }, [])
+
+  // Each snapshot holds the whole CSV, so snapshots made in quick succession
+  // are coalesced: the latest one is written once SEND_RUN_SAVE_INTERVAL_MS
+  // has passed since the previous write.
+  const persistSendRun = useCallback((run) => {
+    if (!account) return
+    pendingSendRunRef.current = {
+      ownerId: account.username,
+      run: { ...run, subject, savedAt: new Date().toISOString() },
+    }
+    if (sendRunSaveTimerRef.current) return
+    const wait = lastSendRunSaveAtRef.current + SEND_RUN_SAVE_INTERVAL_MS - Date.now()
+    if (wait <= 0) writePendingSendRun()
+    else sendRunSaveTimerRef.current = setTimeout(writePendingSendRun, wait)
+  }, [account, subject, writePendingSendRun])
+
+  const discardSavedSendRun = useCallback(() => {
+    clearTimeout(sendRunSaveTimerRef.current)
+    sendRunSaveTimerRef.current = null
+    pendingSendRunRef.current = null
+    setResumableRun(null)
+    if (!account) return
+    clearSendRun(account.username)
+      .catch((e) => console.warn('[Shake Marketing] could not clear saved send run:', e))
+  }, [account])
+
+  // A snapshot still waiting for its turn is written as the tab goes away.
+  useEffect(() => {
+    window.addEventListener('pagehide', writePendingSendRun)
+    return () => window.removeEventListener('pagehide', writePendingSendRun)
+  }, [writePendingSendRun])
+
+  // Rebuilds the queue from the saved snapshot, leaving out everyone the
+  // Send Log already settled, and restores the Send Log and the CSV rows
+  // with their Last Contacted updates.
+  const handleResumeRun = () => {
+    const run = resumableRun
+    if (!run) return
+
+    eligibilityCache.current.clear()
+    setPreviewEligibility(null)
+    setCsvData({ ...run.csvData, recipients: getPendingRunRecipients(run) })
+    setSendResults(run.results)
+    setUpdatedCsvContent(
+      !run.csvData.fromDatabase && run.results.some((result) => result.status === 'sent')
+        ? serializeCsv(run.csvData.headers, run.csvData.rows)
+        : ''
+    )
+    if (!subject.trim() && run.subject) setSubject(run.subject)
+    setSelectedRecipient(0)
+    setResumableRun(null)
+  }
+
+  // Auto-send works straight off csvData, so its progress is saved whenever
+  // the queue or the Send Log moves; an emptied queue has nothing to resume.
+  useEffect(() => {
+    if (!autoSending || !csvData) return
+    if (!csvData.recipients.length) {
+      discardSavedSendRun()
+      return
+    }
+    persistSendRun({ csvData, results: sendResults })
+  }, [autoSending, csvData, sendResults, persistSendRun, discardSavedSendRun])
+
   const sendNextRecipient = async () => {
     if (!account || !csvData?.recipients?.length || !docxData) return
     // Belt-and-suspenders: abort if we have somehow landed outside the window.
@@ -1054,6 +1739,12 @@ export default function App() {
     const normalizedEmail = recipient.email.trim().toLowerCase()
     const graphToken = await getAccessToken(instance, account, loginRequest)
 
+    if (recipient.seed) {
+      await sendSeedRecipient(graphToken, normalizedEmail)
+      advanceQueue()
+      return
+    }
+
     try {
       const contactPayload = buildMarketingContactPayload(recipient)
       const marketingContactResult = await createMarketingContact(graphToken, contactPayload, {
@@ -1068,7 +1759,7 @@ export default function App() {
 
       eligibilityCache.current.delete(normalizedEmail)
       const contactEligibility = await checkMarketingContact(graphToken, normalizedEmail, { clientId: account.username })
-      eligibilityCache.current.set(normalizedEmail, contactEligibility)
+      rememberEligibility(normalizedEmail, contactEligibility)
 
       if (!contactEligibility.emailable) {
         setSendResults((prev) => [...prev, { email: normalizedEmail, status: 'skipped-not-emailable', reason: contactEligibility.reason, rationale: contactEligibility.rationale }])
@@ -1087,14 +1778,17 @@ export default function App() {
         contactEligibility.template_variables || {},
         languageFilter
       )
-      const personalizedHtml = stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables)) + buildEmailSignatureHtml(languageFilter)
+      const unsubscribeLink = await fetchRecipientUnsubscribeLink(graphToken, normalizedEmail)
+      const linkRewrites = await fetchRecipientLinkRewrites(graphToken, normalizedEmail, templateVariables)
+      const personalizedBodies = buildPersonalizedBodies(templateVariables, unsubscribeLink.url, linkRewrites)
       const personalizedSubject = stripUnresolvedTokens(applyTemplate(subject, templateVariables))
 
       await sendPersonalizedEmail(graphToken, {
         toEmail: normalizedEmail,
         toName: resolvedRecipient.name || recipient.company || recipient.email,
         subject: personalizedSubject,
-        htmlBody: personalizedHtml,
+        ...personalizedBodies,
+        headers: buildListUnsubscribeHeaders(unsubscribeLink.oneClickUrl),
       })
 
       // Only the default-mailbox path needs this round trip -- an
@@ -1113,14 +1807,78 @@ export default function App() {
 
       setSendResults((prev) => [...prev, { email: normalizedEmail, status: 'sent', rationale: contactEligibility.rationale }])
       recordLocalEmailSend()
-      advanceQueue()
+      advanceQueue(takeDueSeedRecipients())
     } catch (e) {
-      setSendResults((prev) => [...prev, { email: normalizedEmail, status: 'failed', error: e.message }])
+      setSendResults((prev) => [...prev, { email: normalizedEmail, status: 'failed', error: e.message, attempts: e.attempts }])
       advanceQueue()
     }
   }
 
-  const handleSendAll = async () => {
+  const updateSendAllControl = (control) => {
+    sendAllControlRef.current = control
+    setSendAllControl(control)
+  }
+
+  // Resolves once Send All may start on the next recipient: true to carry
+  // on, false when the run was cancelled (possibly while paused).
+  const waitForSendAllTurn = async () => {
+    while (sendAllControlRef.current === 'paused') {
+      await new Promise((resolve) => setTimeout(resolve, 250))
+    }
+    return sendAllControlRef.current !== 'cancelled'
+  }
+
+  // Recipients whose latest Send Log entry is a failure and who are still
+  // in the queue (Send All keeps them there), grouped by error message.
+  const failedRecipientGroups = useMemo(() => {
+    if (!csvData?.recipients?.length) return []
+
+    const latestResults = new Map()
+    sendResults.forEach((result) => {
+      if (result.email && result.status !== 'retrying') latestResults.set(result.email.trim().toLowerCase(), result)
+    })
+
+    const groups = new Map()
+    const seenEmails = new Set()
+    csvData.recipients.forEach((recipient) => {
+      const email = recipient.email.trim().toLowerCase()
+      const result = latestResults.get(email)
+      if (result?.status !== 'failed' || seenEmails.has(email)) return
+      seenEmails.add(email)
+      const error = result.error || 'Unknown error'
+      groups.set(error, [...(groups.get(error) || []), recipient])
+    })
+
+    return Array.from(groups, ([error, recipients]) => ({ error, recipients }))
+  }, [csvData, sendResults])
+
+  const failedRecipientCount = failedRecipientGroups.reduce((sum, group) => sum + group.recipients.length, 0)
+  const selectedRetryCount = failedRecipientGroups.reduce(
+    (sum, group) => sum + group.recipients.filter((recipient) => !retryExclusions.has(recipient.email.trim().toLowerCase())).length,
+    0
+  )
+
+  const toggleRetryExclusion = (emails, excluded) => {
+    setRetryExclusions((prev) => {
+      const next = new Set(prev)
+      emails.forEach((email) => (excluded ? next.add(email) : next.delete(email)))
+      return next
+    })
+  }
+
+  const handleRetryFailed = () => {
+    const retryRecipients = failedRecipientGroups
+      .flatMap((group) => group.recipients)
+      .filter((recipient) => !retryExclusions.has(recipient.email.trim().toLowerCase()))
+    if (!retryRecipients.length) return
+
+    setShowRetryFailed(false)
+    handleSendAll({ retryRecipients })
+  }
+
+  // With retryRecipients, re-runs just those queued recipients and updates
+  // the existing Send Log and updated CSV in place instead of starting over.
+  const handleSendAll = async ({ retryRecipients = null } = {}) => {
     if (!account) return
 
     if (!canRunApiFlow) {
@@ -1148,10 +1906,28 @@ export default function App() {
       return
     }
 
+    if (sendBlockReason) {
+      setError(sendBlockReason)
+      return
+    }
+
+    if (campaignAddresses.error) {
+      setError(campaignAddresses.error)
+      return
+    }
+
+    const isRetry = Boolean(retryRecipients)
+    const runRecipients = (retryRecipients || csvData.recipients).filter((recipient) => !recipient.seed)
+
     setSending(true)
     setError('')
-    setSendResults([])
-    setUpdatedCsvContent('')
+    if (!isRetry) {
+      setSendResults([])
+      setUpdatedCsvContent('')
+    }
+    setResumableRun(null)
+    setShowRetryFailed(false)
+    updateSendAllControl('running')
 
     try {
       const graphToken = await getAccessToken(instance, account, loginRequest)
@@ -1164,25 +1940,114 @@ export default function App() {
       const shouldUpdateCsvRows = canSendEmails && !csvData.fromDatabase
       const processedEmails = new Set()
       const remainingRecipients = []
-      let previousSuccessfulEmail = null
+      // Default-mailbox sends still to be confirmed in marketing.contacts.
+      // Each createMarketingContact call below carries the oldest one, and
+      // whatever is left is flushed once the loop ends.
+      const pendingConfirmations = []
       const lastContactedKey = csvData.lastContactedKey || 'Last Contacted'
+      // Batched mode only applies to the signed-in Graph mailbox: recipients
+      // are checked and personalized one by one as usual, then dispatched
+      // GRAPH_BATCH_MAX_REQUESTS at a time instead of with a pause per send.
+      const useGraphBatch = batchGraphSends && !selectedSenderAccountId
+      const pendingBatch = []
+      // The Send Log as this run leaves it, mirrored for the IndexedDB
+      // snapshot. A retry starts from the log it is retrying, so a resumed
+      // retry still shows the original run's outcomes.
+      let runResults = isRetry ? [...sendResults] : []
 
       if (shouldUpdateCsvRows && !updatedHeaders.includes(lastContactedKey)) {
         updatedHeaders.push(lastContactedKey)
       }
 
-      for (const recipient of csvData.recipients) {
+      // Every Send Log entry also refreshes the IndexedDB snapshot. It keeps
+      // the whole original queue; resuming drops whoever runResults settled.
+      // A retried recipient's new outcome replaces its FAIL line.
+      const mergeResult = (results, result) => {
+        const replacedIndex = isRetry && result.email
+          ? results.findIndex((entry) => entry.status === 'failed' && entry.email.trim().toLowerCase() === result.email.trim().toLowerCase())
+          : -1
+        if (replacedIndex === -1) return [...results, result]
+        return results.map((entry, index) => (index === replacedIndex ? result : entry))
+      }
+      const logResult = (result) => {
+        runResults = mergeResult(runResults, result)
+        setSendResults((prev) => mergeResult(prev, result))
+        persistSendRun({
+          csvData: {
+            ...csvData,
+            ...(shouldUpdateCsvRows ? { rows: updatedRows, headers: updatedHeaders, lastContactedKey } : {}),
+          },
+          results: runResults,
+        })
+      }
+
+      const recordSent = (recipient, normalizedEmail, rationale) => {
+        const rowIndex = recipient.rowIndex
+        if (shouldUpdateCsvRows && rowIndex !== undefined && updatedRows[rowIndex]) {
+          updatedRows[rowIndex][lastContactedKey] = formatLocalTimestamp()
+        }
+
+        // Same reasoning as sendNextRecipient: an alternate-account send is
+        // already recorded in marketing.contacts by SenderAccounts.py
+        // itself, so only default-mailbox sends need confirming.
+        if (!selectedSenderAccountId) pendingConfirmations.push(normalizedEmail)
+        recordLocalEmailSend()
+        logResult({
+          email: recipient.email,
+          status: 'sent',
+          rationale,
+        })
+      }
+
+      const recordFailed = (recipient, error, attempts = error.attempts) => {
+        remainingRecipients.push(recipient)
+        logResult({
+          email: recipient.email,
+          status: 'failed',
+          error: error.message,
+          attempts,
+        })
+      }
+
+      const flushGraphBatch = async () => {
+        if (!pendingBatch.length) return
+        const batch = pendingBatch.splice(0)
+
+        try {
+          const results = await sendEmailsInBatches(graphToken, batch.map((entry) => entry.message), {
+            maxAttempts: parsedMaxSendAttempts,
+            onRetry: (info) => logSendRetry(info.id, info),
+          })
+          results.forEach((result, index) => {
+            const { recipient, normalizedEmail, rationale } = batch[index]
+            if (result.ok) recordSent(recipient, normalizedEmail, rationale)
+            else recordFailed(recipient, result.error, result.attempts)
+          })
+        } catch (e) {
+          // sendEmailsInBatches() reports failed batches per message; this
+          // only catches a message that couldn't be encoded at all.
+          batch.forEach(({ recipient }) => recordFailed(recipient, e))
+        }
+      }
+
+      for (const [index, recipient] of runRecipients.entries()) {
+        // Cancelling keeps everyone not yet sent in the queue, including
+        // batched messages that were personalized but not dispatched, and
+        // falls through to the usual confirmation flush and CSV update.
+        if (!(await waitForSendAllTurn())) {
+          const unsent = [...pendingBatch.splice(0).map((entry) => entry.recipient), ...runRecipients.slice(index)]
+          remainingRecipients.push(...unsent)
+          logResult({ email: '', status: 'cancelled', remaining: unsent.length })
+          break
+        }
+
         const normalizedEmail = recipient.email.trim().toLowerCase()
 
         if (processedEmails.has(normalizedEmail)) {
-          previousSuccessfulEmail = null
-          setSendResults((prev) => [
-            ...prev,
-            {
-              email: normalizedEmail || recipient.email,
-              status: 'skipped-duplicate',
-            },
-          ])
+          logResult({
+            email: normalizedEmail || recipient.email,
+            status: 'skipped-duplicate',
+          })
           continue
         }
 
@@ -1196,20 +2061,16 @@ export default function App() {
             contactPayload,
             {
               clientId: account.username,
-              previousSuccessfulEmail,
+              previousSuccessfulEmail: pendingConfirmations.shift() ?? null,
               fromEmail: activeSenderEmail,
             }
           )
 
           if (marketingContactResult.contacted) {
-            previousSuccessfulEmail = null
-            setSendResults((prev) => [
-              ...prev,
-              {
-                email: normalizedEmail,
-                status: 'skipped-contacted',
-              },
-            ])
+            logResult({
+              email: normalizedEmail,
+              status: 'skipped-contacted',
+            })
             continue
           }
 
@@ -1219,32 +2080,24 @@ export default function App() {
             normalizedEmail,
             { clientId: account.username }
           )
-          eligibilityCache.current.set(normalizedEmail, contactEligibility)
+          rememberEligibility(normalizedEmail, contactEligibility)
 
           if (!contactEligibility.emailable) {
-            previousSuccessfulEmail = null
-            setSendResults((prev) => [
-              ...prev,
-              {
-                email: normalizedEmail,
-                status: 'skipped-not-emailable',
-                reason: contactEligibility.reason,
-                rationale: contactEligibility.rationale,
-              },
-            ])
+            logResult({
+              email: normalizedEmail,
+              status: 'skipped-not-emailable',
+              reason: contactEligibility.reason,
+              rationale: contactEligibility.rationale,
+            })
             continue
           }
 
           if (!canSendEmails) {
-            previousSuccessfulEmail = null
-            setSendResults((prev) => [
-              ...prev,
-              {
-                email: recipient.email,
-                status: 'checked-only',
-                rationale: contactEligibility.rationale,
-              },
-            ])
+            logResult({
+              email: recipient.email,
+              status: 'checked-only',
+              rationale: contactEligibility.rationale,
+            })
             continue
           }
 
@@ -1253,59 +2106,48 @@ export default function App() {
             contactEligibility.template_variables || {},
             languageFilter
           )
-          const personalizedHtml = stripUnresolvedTokens(applyTemplate(docxData.html, templateVariables)) + buildEmailSignatureHtml(languageFilter)
+          const unsubscribeLink = await fetchRecipientUnsubscribeLink(graphToken, normalizedEmail)
+          const linkRewrites = await fetchRecipientLinkRewrites(graphToken, normalizedEmail, templateVariables)
+          const personalizedBodies = buildPersonalizedBodies(templateVariables, unsubscribeLink.url, linkRewrites)
           const personalizedSubject = stripUnresolvedTokens(applyTemplate(subject, templateVariables))
-
-          await sendPersonalizedEmail(graphToken, {
+          const personalizedMessage = {
             toEmail: normalizedEmail,
             toName: resolvedRecipient.name || recipient.company || recipient.email,
             subject: personalizedSubject,
-            htmlBody: personalizedHtml,
-          })
-
-          const rowIndex = recipient.rowIndex
-          if (shouldUpdateCsvRows && rowIndex !== undefined && updatedRows[rowIndex]) {
-            updatedRows[rowIndex][lastContactedKey] = formatLocalTimestamp()
+            ...personalizedBodies,
+            headers: buildListUnsubscribeHeaders(unsubscribeLink.oneClickUrl),
           }
 
-          // Same reasoning as sendNextRecipient: an alternate-account send is
-          // already recorded in marketing.contacts by SenderAccounts.py
-          // itself, so there's nothing left to flush via previousSuccessfulEmail.
-          // Leaving it null here also means the post-loop flush below
-          // correctly no-ops for a run that ends on a Path B send.
-          previousSuccessfulEmail = selectedSenderAccountId ? null : normalizedEmail
-          recordLocalEmailSend()
-          setSendResults((prev) => [
-            ...prev,
-            {
-              email: recipient.email,
-              status: 'sent',
+          if (useGraphBatch) {
+            pendingBatch.push({
+              recipient,
+              normalizedEmail,
               rationale: contactEligibility.rationale,
-            },
-          ])
+              message: { id: normalizedEmail, ...buildOutgoingMessage(personalizedMessage) },
+            })
+            if (pendingBatch.length >= GRAPH_BATCH_MAX_REQUESTS) await flushGraphBatch()
+          } else {
+            await sendPersonalizedEmail(graphToken, personalizedMessage)
+            recordSent(recipient, normalizedEmail, contactEligibility.rationale)
+          }
         } catch (e) {
-          previousSuccessfulEmail = null
-          remainingRecipients.push(recipient)
-          setSendResults((prev) => [
-            ...prev,
-            {
-              email: recipient.email,
-              status: 'failed',
-              error: e.message,
-            },
-          ])
+          recordFailed(recipient, e)
         }
 
-        await new Promise((resolve) => setTimeout(resolve, 350))
+        if (!useGraphBatch) await new Promise((resolve) => setTimeout(resolve, 350))
       }
 
-      if (canSendEmails && previousSuccessfulEmail) {
-        await createMarketingContact(marketingContactsToken, null, {
-          clientId: account.username,
-          previousSuccessfulEmail,
-          fromEmail: activeSenderEmail,
-          skipContactCreate: true,
-        })
+      await flushGraphBatch()
+
+      if (canSendEmails) {
+        for (const previousSuccessfulEmail of pendingConfirmations) {
+          await createMarketingContact(marketingContactsToken, null, {
+            clientId: account.username,
+            previousSuccessfulEmail,
+            fromEmail: activeSenderEmail,
+            skipContactCreate: true,
+          })
+        }
       }
 
       if (shouldUpdateCsvRows) {
@@ -1313,11 +2155,17 @@ export default function App() {
         setUpdatedCsvContent(csvOutput)
       }
 
+      // A retry leaves the rest of the queue (excluded failures, recipients a
+      // cancel left behind) where it was.
+      const retriedRecipients = new Set(runRecipients)
+      const stillQueued = new Set(remainingRecipients)
       setCsvData((prev) =>
         prev
           ? {
               ...prev,
-              recipients: remainingRecipients,
+              recipients: isRetry
+                ? prev.recipients.filter((recipient) => !retriedRecipients.has(recipient) || stillQueued.has(recipient))
+                : remainingRecipients,
               ...(shouldUpdateCsvRows
                 ? {
                     rows: updatedRows,
@@ -1329,9 +2177,11 @@ export default function App() {
           : prev
       )
       setSelectedRecipient(0)
+      discardSavedSendRun()
     } catch (e) {
       setError(`Unable to process recipients: ${e.message}`)
     } finally {
+      updateSendAllControl('running')
       setSending(false)
     }
   }
@@ -1439,6 +2289,9 @@ export default function App() {
                         <span>Sent today: <strong>{sentTodayWithSession}</strong></span>
                         <span>Next 24h sends: <strong>{projectedNext24HourRecipientLoad}</strong></span>
                         <span>Sent this session: <strong>{sessionSentCount}</strong></span>
+                        {SEED_LIST.length > 0 && (
+                          <span>Seed checks this session: <strong>{seedSendCount}</strong></span>
+                        )}
                         <span>Recipients queued: <strong>{csvData?.recipients?.length ?? 0}</strong></span>
                       </div>
                     )}
@@ -1465,12 +2318,13 @@ export default function App() {
                           }
                         </>
                       ) : (
-                        <span>Auto-send: <strong>{autoSendDisabledReason || 'Unavailable'}</strong></span>
+                        <span>Auto-send: <strong>{autoSendStartBlockReason || 'Unavailable'}</strong></span>
                       )}
                       <button
                         className={`auto-send-btn${autoSending ? ' auto-send-btn--active' : ''}`}
                         onClick={() => setAutoSending((v) => !v)}
-                        disabled={!autoSending && Boolean(autoSendDisabledReason)}
+                        disabled={!autoSending && Boolean(autoSendStartBlockReason)}
+                        title={autoSending ? undefined : autoSendStartBlockReason || undefined}
                       >
                         {autoSending ? 'Stop' : 'Start Auto-Send'}
                       </button>
@@ -1485,11 +2339,30 @@ export default function App() {
                 <li>DOCX: first line can be <code>Subject: Your email subject</code></li>
                 <li>DOCX: or first H1 heading becomes the subject</li>
                 <li>Body supports variables like <code>{'{{name}}'}</code>, <code>{'{{company}}'}</code>, <code>{'{{custom_field_1}}'}</code></li>
+                <li>Fallbacks and filters: <code>{'{{first_name | default: "there" | title}}'}</code>, <code>upper</code>, <code>lower</code>, <code>truncate: 20</code>, <code>{'date: "MMM d"'}</code>, <code>possessive</code></li>
+                <li>Blocks: <code>{'{{#if company}}…{{else}}…{{/if}}'}</code>, <code>{'{{#unless state == "WI"}}…{{/unless}}'}</code>, <code>{'{{#each brands}}{{this}}{{/each}}'}</code></li>
                 <li>CSV requires <code>email</code> (or <code>mail</code> / <code>emailaddress</code>)</li>
                 <li>Optional columns: <code>name</code>, <code>company</code>, and any template variables</li>
               </ul>
             </div>
 
+            {resumableRun && !sending && !autoSending && (
+              <div className="resume-run-card">
+                <p>
+                  A previous run saved {new Date(resumableRun.savedAt).toLocaleString()} has{' '}
+                  <strong>{getPendingRunRecipients(resumableRun).length}</strong> recipients left
+                  ({resumableRun.results.filter((result) => result.status === 'sent').length} sent).
+                  {!docxData && ' Upload the .docx again before sending.'}
+                </p>
+                <button type="button" className="manage-accounts-btn" onClick={handleResumeRun}>
+                  Resume previous run
+                </button>
+                <button type="button" className="manage-accounts-btn" onClick={discardSavedSendRun}>
+                  Discard
+                </button>
+              </div>
+            )}
+
             <div className="upload-grid">
               <label className="upload-card">
                 <span>Upload .docx email body</span>
@@ -1501,6 +2374,11 @@ export default function App() {
                 <input type="file" accept=".csv" onChange={handleCsvUpload} />
               </label>
 
+              <label className="upload-card">
+                <span>Attach files (sent with every email)</span>
+                <input type="file" multiple disabled={sending || autoSending} onChange={handleAttachmentUpload} />
+              </label>
+
               {!csvData && canRunApiFlow && !mustUploadCsvRecipients && (
                   <div className="db-load-card">
                     <label className="db-load-limit-field">
@@ -1559,6 +2437,82 @@ export default function App() {
               </div>
             )}
 
+            <div className="templateize-rules">
+              <label className="subject-field">
+                <span>
+                  Templateize rules{' '}
+                  <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>
+                    (turn phrases in the DOCX into {'{{tokens}}'})
+                  </span>
+                </span>
+                <select
+                  value={activeTemplateizeRuleSet.id}
+                  disabled={sending || autoSending}
+                  onChange={(e) => selectTemplateizeRuleSet(templateizeRuleSets.find((ruleSet) => ruleSet.id === e.target.value))}
+                >
+                  {templateizeRuleSets.map((ruleSet) => (
+                    <option key={ruleSet.id} value={ruleSet.id}>{ruleSet.name}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                type="button"
+                className="manage-accounts-btn"
+                disabled={sending || autoSending}
+                onClick={() => setShowTemplateizeEditor(true)}
+              >
+                Edit templateize rules
+              </button>
+              {fieldMappingCampaign && canRunApiFlow && (
+                <button
+                  type="button"
+                  className="manage-accounts-btn"
+                  disabled={sending || autoSending || campaignSettingsStatus.loading || Boolean(campaignSettingsStatus.error) || campaignRuleSetSaveStatus.saving || campaignRuleSetMatches}
+                  onClick={handleSaveRuleSetForCampaign}
+                >
+                  {campaignRuleSetSaveStatus.saving ? 'Saving…' : `Use for ${fieldMappingCampaign}`}
+                </button>
+              )}
+              <p className="templateize-rules-campaign">
+                {!fieldMappingCampaign
+                  ? 'Kept in this browser only; enter a campaign name to save the rule set with the campaign.'
+                  : campaignRuleSetMatches
+                    ? `Saved for ${fieldMappingCampaign}.`
+                    : campaignRuleSet
+                      ? `⚠️ ${fieldMappingCampaign} is saved with “${campaignRuleSet.name}”${campaignRuleSet.id === activeTemplateizeRuleSet.id ? ' and different rules' : ''}; other operators will templateize its DOCX with that.`
+                      : `Not saved for ${fieldMappingCampaign} yet; other operators will templateize its DOCX with their own rule set.`}
+              </p>
+              {campaignRuleSetSaveStatus.error && <p className="error-text">{campaignRuleSetSaveStatus.error}</p>}
+              {docxSource && templateizeReport.length > 0 && (
+                <p className="templateize-rules-summary">
+                  “{activeTemplateizeRuleSet.name}”: {templateizeReport.length - templateizeUnmatched.length} of {templateizeReport.length} rules matched the DOCX.
+                  {templateizeUnmatched.length > 0 && (
+                    <span className="templateize-rules-unmatched">
+                      {' '}⚠️ No match: {templateizeUnmatched.map((entry) => `{{${entry.rule.token.trim() || '?'}}} (“${entry.rule.before.trim()}”)`).join(', ')}
+                    </span>
+                  )}
+                </p>
+              )}
+            </div>
+
+            {attachments.length > 0 && (
+              <ul className="attachment-list">
+                {attachments.map((attachment, index) => (
+                  <li key={`${attachment.name}-${index}`}>
+                    <span>📎 {attachment.name} ({formatBytes(attachment.size)})</span>
+                    <button
+                      type="button"
+                      className="attachment-remove-btn"
+                      disabled={sending || autoSending}
+                      onClick={() => handleRemoveAttachment(index)}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
             {csvData && !csvData.fromDatabase && (
               <div className="status-row">
                 <span>{csvData.skippedInvalidEmail ? `⚠️ ${csvData.skippedInvalidEmail} invalid emails skipped` : '✅ No invalid emails'}</span>
@@ -1576,6 +2530,178 @@ export default function App() {
               />
             </label>
 
+            <label className="subject-field">
+              Max send attempts <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(throttled sends are retried after Retry-After / backoff)</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_SEND_ATTEMPTS_LIMIT}
+                step="1"
+                inputMode="numeric"
+                value={maxSendAttempts}
+                disabled={sending || autoSending}
+                onChange={(e) => setMaxSendAttempts(e.target.value)}
+                onBlur={() => setMaxSendAttempts(String(parsedMaxSendAttempts))}
+              />
+            </label>
+
+            {SEED_LIST.length > 0 && (
+              <label className="subject-field">
+                Seed list every N sends <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(auto-send mails {SEED_LIST.length} seed inboxes after every N real sends; 0 turns it off)</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  inputMode="numeric"
+                  value={seedSendInterval}
+                  disabled={autoSending}
+                  onChange={(e) => setSeedSendInterval(e.target.value)}
+                  onBlur={() => setSeedSendInterval(String(parsedSeedSendInterval))}
+                />
+              </label>
+            )}
+
+            <label className="subject-field">
+              Reply-To <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(optional, e.g. a shared sales inbox)</span>
+              <input
+                value={replyToText}
+                disabled={sending || autoSending}
+                onChange={(e) => setReplyToText(e.target.value)}
+                placeholder="sales@shakedefi.email"
+              />
+            </label>
+
+            <label className="subject-field">
+              CC <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(optional, comma separated, copied on every email)</span>
+              <input
+                value={ccText}
+                disabled={sending || autoSending}
+                onChange={(e) => setCcText(e.target.value)}
+              />
+            </label>
+
+            <label className="subject-field">
+              BCC <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(optional, comma separated, copied on every email)</span>
+              <input
+                value={bccText}
+                disabled={sending || autoSending}
+                onChange={(e) => setBccText(e.target.value)}
+              />
+            </label>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={archiveBccEnabled}
+                disabled={sending || autoSending}
+                onChange={(e) => setArchiveBccEnabled(e.target.checked)}
+              />
+              Archive BCC <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(copy every send to the CRM capture address)</span>
+            </label>
+
+            {archiveBccEnabled && (
+              <label className="subject-field">
+                Archive BCC address
+                <input
+                  value={archiveBccAddress}
+                  disabled={sending || autoSending}
+                  onChange={(e) => setArchiveBccAddress(e.target.value)}
+                  placeholder="crm-capture@shakedefi.email"
+                />
+              </label>
+            )}
+
+            {campaignAddresses.error && <p className="error-text">{campaignAddresses.error}</p>}
+
+            <label className="subject-field">
+              Campaign name <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(utm_campaign: {trackingCampaign || '—'}; field mapping: {fieldMappingCampaign || 'needs a campaign name'})</span>
+              <input
+                value={trackingCampaignName}
+                disabled={sending || autoSending}
+                onChange={(e) => setTrackingCampaignName(e.target.value)}
+                placeholder="Defaults to the subject"
+              />
+            </label>
+
+            <div className="template-field-mapping">
+              <span>
+                Template field mapping:{' '}
+                <strong>
+                  {campaignSettingsStatus.loading
+                    ? 'loading…'
+                    : templateFieldMapping ? `saved for ${fieldMappingCampaign}` : 'built-in (auto dealers)'}
+                </strong>
+              </span>
+              <button
+                type="button"
+                className="manage-accounts-btn"
+                disabled={sending || autoSending || campaignSettingsStatus.loading || Boolean(campaignSettingsStatus.error) || !canRunApiFlow || !fieldMappingCampaign}
+                title={fieldMappingCampaign ? undefined : 'Enter a campaign name to save a field mapping for it.'}
+                onClick={() => setShowFieldMappingEditor(true)}
+              >
+                Edit field mapping
+              </button>
+              {campaignSettingsStatus.error && (
+                <p className="error-text">
+                  {campaignSettingsStatus.error} Sending is blocked until it loads.{' '}
+                  <button
+                    type="button"
+                    className="manage-accounts-btn"
+                    disabled={sending || autoSending}
+                    onClick={() => setCampaignSettingsReloadKey((key) => key + 1)}
+                  >
+                    Retry
+                  </button>
+                </p>
+              )}
+            </div>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={utmTaggingEnabled}
+                disabled={sending || autoSending}
+                onChange={(e) => setUtmTaggingEnabled(e.target.checked)}
+              />
+              Tag links with UTM parameters <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(source, campaign, language and sender on every body link)</span>
+            </label>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={clickRedirectsEnabled}
+                disabled={sending || autoSending}
+                onChange={(e) => setClickRedirectsEnabled(e.target.checked)}
+              />
+              Track clicks through redirects <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(wraps each link in a per-recipient MessageHub redirect)</span>
+            </label>
+
+            {(utmTaggingEnabled || clickRedirectsEnabled) && (
+              <>
+                <label className="subject-field">
+                  Excluded domains <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(comma separated; links to these and their subdomains are left as written)</span>
+                  <input
+                    value={trackingExcludedDomainsText}
+                    disabled={sending || autoSending}
+                    onChange={(e) => setTrackingExcludedDomainsText(e.target.value)}
+                    placeholder="calendly.com, docs.google.com"
+                  />
+                </label>
+              </>
+            )}
+
+            {canSendEmails && !selectedSenderAccountId && (
+              <label className="checkbox-field">
+                <input
+                  type="checkbox"
+                  checked={batchGraphSends}
+                  disabled={sending}
+                  onChange={(e) => setBatchGraphSends(e.target.checked)}
+                />
+                Batch Send All through Graph $batch <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}>(up to {GRAPH_BATCH_MAX_REQUESTS} emails per request, default mailbox only)</span>
+              </label>
+            )}
+
             <label className="subject-field">
               Subject
               <input
@@ -1609,6 +2735,12 @@ export default function App() {
               </button>
             )}
 
+            {canRunApiFlow && (
+              <button type="button" className="manage-accounts-btn" onClick={() => setShowUnsubscribeReport(true)}>
+                Unsubscribe reasons
+              </button>
+            )}
+
             {csvData?.recipients?.length > 0 && (
               <div className="preview-wrap">
                 <div className="recipient-list">
@@ -1628,33 +2760,188 @@ export default function App() {
 
                 <div className="preview-panel">
                   <h3>Personalized Preview</h3>
+                  <div className="test-send-row">
+                    {SEED_LIST.length > 0 && (
+                      <select
+                        value={testSendTarget}
+                        disabled={testSendStatus.sending}
+                        onChange={(e) => setTestSendTarget(e.target.value)}
+                        aria-label="Test send recipients"
+                      >
+                        <option value="me">Me ({account?.username})</option>
+                        <option value="seed">Seed list ({SEED_LIST.length})</option>
+                      </select>
+                    )}
+                    <button
+                      type="button"
+                      className="manage-accounts-btn"
+                      disabled={
+                        testSendStatus.sending || sending || autoSending || !canSendEmails
+                        || !docxData || !previewRecipient || !subject.trim() || Boolean(campaignAddresses.error)
+                        || Boolean(campaignSettingsBlockReason)
+                      }
+                      title={campaignSettingsBlockReason || undefined}
+                      onClick={handleSendTest}
+                    >
+                      {testSendStatus.sending
+                        ? 'Sending test…'
+                        : testSendTarget === 'seed' ? 'Send test to seed list' : 'Send test to me'}
+                    </button>
+                  </div>
+                  {previewUnresolvedTokens.length > 0 && (
+                    <p className="error-text">
+                      Unresolved for this recipient: {previewUnresolvedTokens.map((token) => `{{${token}}}`).join(', ')}.
+                      These go out as plain text.
+                    </p>
+                  )}
+                  {testSendStatus.message && <p>{testSendStatus.message}</p>}
+                  {testSendStatus.error && <p className="error-text">{testSendStatus.error}</p>}
+                  <p>
+                    <strong>From:</strong> {getActiveSenderEmail() || '—'}
+                  </p>
                   <p>
                     <strong>To:</strong> {previewRecipient?.email || '—'}
                   </p>
+                  {campaignAddresses.replyTo.length > 0 && (
+                    <p>
+                      <strong>Reply-To:</strong> {campaignAddresses.replyTo.join(', ')}
+                    </p>
+                  )}
+                  {campaignAddresses.cc.length > 0 && (
+                    <p>
+                      <strong>CC:</strong> {campaignAddresses.cc.join(', ')}
+                    </p>
+                  )}
+                  {campaignAddresses.bcc.length > 0 && (
+                    <p>
+                      <strong>BCC:</strong> {campaignAddresses.bcc.join(', ')}
+                    </p>
+                  )}
                   <p>
                     <strong>Subject:</strong> {previewSubject || '—'}
                   </p>
+                  {previewMessageSize && (
+                    <>
+                      <p>
+                        <strong>Size:</strong> about {formatBytes(previewMessageSize.htmlBytes)} HTML of Gmail's {formatBytes(GMAIL_CLIP_BYTES)} limit
+                        <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}> (about {formatBytes(previewMessageSize.messageBytes)} as sent)</span>
+                      </p>
+                      {previewMessageSize.clipped && (
+                        <p className="error-text">
+                          Gmail will likely clip this message and hide its unsubscribe footer. The size is an estimate: the real unsubscribe link and tracked links are added at send time, so sending is blocked until the HTML is at least {formatBytes(CLIP_SAFETY_MARGIN_BYTES)} under {formatBytes(GMAIL_CLIP_BYTES)}.
+                        </p>
+                      )}
+                      <details className="message-size-breakdown">
+                        <summary>Size breakdown</summary>
+                        <table>
+                          <tbody>
+                            {previewMessageSize.breakdown.map((entry) => (
+                              <tr key={entry.label}>
+                                <td>{entry.label}</td>
+                                <td>{formatBytes(entry.bytes)}</td>
+                                <td>{entry.inHtml ? 'counts towards clipping' : 'not clipped'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </details>
+                    </>
+                  )}
+                  {previewTokenSources.length > 0 && (
+                    <details className="token-sources">
+                      <summary>Token sources</summary>
+                      <table>
+                        <tbody>
+                          {previewTokenSources.map((entry) => (
+                            <tr key={entry.token}>
+                              <td><code>{entry.token}</code></td>
+                              <td>{entry.value === undefined ? '—' : entry.value}</td>
+                              <td>{entry.source || 'unresolved'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </details>
+                  )}
                   <div className="email-html" dangerouslySetInnerHTML={{ __html: previewHtml }} />
                   <div dangerouslySetInnerHTML={{ __html: buildEmailSignatureHtml(languageFilter) }} />
                 </div>
               </div>
             )}
 
+            {contentLint && (
+              <div className="content-lint">
+                <h3>
+                  Pre-send check
+                  {contentLintPending && <span style={{ fontWeight: 400, fontSize: '0.85em', color: '#8b949e' }}> (checking…)</span>}
+                </h3>
+                <p className="content-lint-stats">
+                  Largest HTML body: <strong>{formatBytes(contentLint.stats.maxHtmlBytes)}</strong>
+                  {' · '}Images: <strong>{contentLint.stats.imageCount}</strong>
+                  {' · '}Text: <strong>{contentLint.stats.textLength.toLocaleString()} characters</strong>
+                </p>
+                {contentLint.errors.length === 0 && contentLint.warnings.length === 0 && (
+                  <p>No problems found.</p>
+                )}
+                {contentLint.errors.length > 0 && (
+                  <ul className="content-lint-errors">
+                    {contentLint.errors.map((issue, index) => <li key={index}>❌ {issue.message}</li>)}
+                  </ul>
+                )}
+                {contentLint.warnings.length > 0 && (
+                  <ul className="content-lint-warnings">
+                    {contentLint.warnings.map((issue, index) => <li key={index}>⚠️ {issue.message}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+
             <button
               className="send-btn"
-              disabled={sending || autoSending || isJmusilaScheduledOnlyUser || !canRunApiFlow || !docxData || !csvData?.recipients?.length || !subject.trim()}
-              onClick={handleSendAll}
+              disabled={sending || autoSending || isJmusilaScheduledOnlyUser || !canRunApiFlow || !docxData || !csvData?.recipients?.length || !subject.trim() || Boolean(sendBlockReason)}
+              onClick={() => handleSendAll()}
             >
               {sending ? 'Sending…' : isJmusilaScheduledOnlyUser ? 'Use Start Auto-Send' : 'Send All Emails'}
             </button>
 
+            {sending && (
+              <div className="send-controls">
+                {sendAllControl === 'paused' ? (
+                  <button type="button" className="send-btn" onClick={() => updateSendAllControl('running')}>
+                    Resume
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="send-btn"
+                    disabled={sendAllControl === 'cancelled'}
+                    onClick={() => updateSendAllControl('paused')}
+                  >
+                    Pause
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="send-btn"
+                  disabled={sendAllControl === 'cancelled'}
+                  onClick={() => updateSendAllControl('cancelled')}
+                >
+                  {sendAllControl === 'cancelled' ? 'Cancelling…' : 'Cancel'}
+                </button>
+              </div>
+            )}
+
             {error && <p className="error-text">{error}</p>}
 
               {(sending || sendResults.length > 0 || nvidiaApiKey) && (
                 <div className="results">
                   <div className="results-header">
                     <h3>Send Log</h3>
-                    {sending && <span className="results-status">Dispatch in progress…</span>}
+                    {sending && (
+                      <span className="results-status">
+                        {sendAllControl === 'paused' ? 'Paused' : 'Dispatch in progress…'}
+                      </span>
+                    )}
                   </div>
 
                   <div
@@ -1689,10 +2976,77 @@ export default function App() {
                     ))}
 
                     {sending && (
-                      <div className="console-line console-line--muted">Processing next recipient…</div>
+                      <div className="console-line console-line--muted">
+                        {sendAllControl === 'paused'
+                          ? 'Paused after the current recipient. Resume or cancel to continue.'
+                          : 'Processing next recipient…'}
+                      </div>
                     )}
                   </div>
 
+                  {!sending && failedRecipientCount > 0 && (
+                    showRetryFailed ? (
+                      <div className="retry-failed">
+                        {failedRecipientGroups.map((group) => {
+                          const groupEmails = group.recipients.map((recipient) => recipient.email.trim().toLowerCase())
+                          const groupExcluded = groupEmails.every((email) => retryExclusions.has(email))
+                          return (
+                            <fieldset key={group.error} className="retry-failed-group">
+                              <legend>
+                                <label className="checkbox-field">
+                                  <input
+                                    type="checkbox"
+                                    checked={!groupExcluded}
+                                    onChange={() => toggleRetryExclusion(groupEmails, !groupExcluded)}
+                                  />
+                                  {group.error} ({group.recipients.length})
+                                </label>
+                              </legend>
+                              {group.recipients.map((recipient, index) => {
+                                const email = groupEmails[index]
+                                return (
+                                  <label key={email} className="checkbox-field">
+                                    <input
+                                      type="checkbox"
+                                      checked={!retryExclusions.has(email)}
+                                      onChange={(e) => toggleRetryExclusion([email], !e.target.checked)}
+                                    />
+                                    {recipient.email}
+                                  </label>
+                                )
+                              })}
+                            </fieldset>
+                          )
+                        })}
+                        <div className="send-controls">
+                          <button
+                            type="button"
+                            className="send-btn"
+                            disabled={!selectedRetryCount || autoSending}
+                            onClick={handleRetryFailed}
+                          >
+                            Retry {selectedRetryCount} selected
+                          </button>
+                          <button type="button" className="send-btn" onClick={() => setShowRetryFailed(false)}>
+                            Close
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        className="send-btn"
+                        disabled={autoSending}
+                        onClick={() => {
+                          setRetryExclusions(new Set())
+                          setShowRetryFailed(true)
+                        }}
+                      >
+                        Retry failed ({failedRecipientCount})
+                      </button>
+                    )
+                  )}
+
                   {updatedCsvContent && !csvData?.fromDatabase && (
                     <button className="send-btn" onClick={handleDownloadUpdatedCsv}>
                       Download Updated CSV
@@ -1713,6 +3067,40 @@ export default function App() {
             onChanged={handleSenderAccountsChanged}
           />
         )}
+
+        {showFieldMappingEditor && (
+          <TemplateFieldMappingEditor
+            campaign={fieldMappingCampaign}
+            mapping={templateFieldMapping || DEFAULT_TEMPLATE_FIELD_MAPPING}
+            instance={instance}
+            account={account}
+            loginRequest={loginRequest}
+            onSaved={(mapping) => {
+              setTemplateFieldMapping(mapping)
+              setShowFieldMappingEditor(false)
+            }}
+            onClose={() => setShowFieldMappingEditor(false)}
+          />
+        )}
+
+        {showTemplateizeEditor && (
+          <TemplateizeRulesEditor
+            ruleSet={activeTemplateizeRuleSet}
+            source={docxSource}
+            onSave={handleSaveTemplateizeRuleSet}
+            onDelete={handleDeleteTemplateizeRuleSet}
+            onClose={() => setShowTemplateizeEditor(false)}
+          />
+        )}
+
+        {showUnsubscribeReport && (
+          <UnsubscribeReasonReport
+            instance={instance}
+            account={account}
+            loginRequest={loginRequest}
+            onClose={() => setShowUnsubscribeReport(false)}
+          />
+        )}
       </main>
     </>
   )
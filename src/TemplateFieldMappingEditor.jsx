@@ -0,0 +1,204 @@
+/**
+ * TemplateFieldMappingEditor.jsx
+ *
+ * Modal for editing how one campaign's contact fields become template
+ * variables: which contact field fills each token, alternative token names,
+ * and the defaults used when a contact has no value. Saved to MessageHub per
+ * campaign.
+ */
+
+import { useState } from 'react'
+import { getAccessToken, saveTemplateFieldMapping } from '../graphApi'
+import { DEFAULT_TEMPLATE_FIELD_MAPPING, normalizeTemplateFieldMapping } from './utils/template'
+
+const toRows = (mapping) => ({
+  fields: mapping.fields.map((field) => ({ ...field })),
+  aliases: Object.entries(mapping.aliases).map(([alias, templateKey]) => ({ alias, templateKey })),
+  defaults: Object.entries(mapping.defaults).map(([templateKey, value]) => ({ templateKey, value })),
+})
+
+const fromRows = (rows) => normalizeTemplateFieldMapping({
+  fields: rows.fields,
+  aliases: Object.fromEntries(rows.aliases.map(({ alias, templateKey }) => [alias, templateKey])),
+  defaults: Object.fromEntries(rows.defaults.map(({ templateKey, value }) => [templateKey, value])),
+})
+
+// ─── Styles ──────────────────────────────────────────────────────────────────
+
+const S = {
+  overlay: {
+    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.55)',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+    zIndex: 9999, padding: '16px',
+  },
+  card: {
+    background: '#fff', borderRadius: '12px', width: '100%', maxWidth: '760px',
+    maxHeight: '90vh', display: 'flex', flexDirection: 'column',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.25)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '14px', color: '#111827',
+  },
+  header: {
+    background: '#18181b', color: '#fff', padding: '16px 20px',
+    borderRadius: '12px 12px 0 0',
+    display: 'flex', alignItems: 'center', gap: '10px',
+  },
+  headerTitle: { margin: 0, fontSize: '16px', fontWeight: 600, flex: 1 },
+  closeBtn: {
+    background: 'none', border: 'none', color: '#a1a1aa', cursor: 'pointer',
+    fontSize: '20px', lineHeight: 1, padding: '2px 6px', borderRadius: '4px',
+  },
+  body: { overflowY: 'auto', padding: '20px', display: 'flex', flexDirection: 'column', gap: '18px' },
+  section: { display: 'flex', flexDirection: 'column', gap: '8px' },
+  sectionTitle: { margin: 0, fontSize: '13px', fontWeight: 600, color: '#374151', textTransform: 'uppercase', letterSpacing: '0.04em' },
+  row: { display: 'grid', gridTemplateColumns: '1fr auto 1fr auto', gap: '8px', alignItems: 'center' },
+  arrow: { color: '#9ca3af' },
+  input: {
+    border: '1px solid #d1d5db', borderRadius: '6px', padding: '6px 8px',
+    fontSize: '13px', outline: 'none', background: '#fff', width: '100%',
+    boxSizing: 'border-box', color: '#111827',
+  },
+  btnPrimary: {
+    background: '#2563eb', color: '#fff', border: 'none', borderRadius: '6px',
+    padding: '8px 16px', cursor: 'pointer', fontWeight: 600, fontSize: '13px',
+  },
+  btnSecondary: {
+    background: 'none', color: '#374151', border: '1px solid #d1d5db',
+    borderRadius: '6px', padding: '7px 13px', cursor: 'pointer', fontSize: '13px',
+  },
+  btnDanger: {
+    background: 'none', color: '#dc2626', border: '1px solid #fca5a5',
+    borderRadius: '6px', padding: '5px 10px', cursor: 'pointer', fontSize: '12px',
+  },
+  hint: { fontSize: '12px', color: '#6b7280', margin: 0 },
+  error: {
+    background: '#fef2f2', border: '1px solid #fecaca', borderRadius: '6px',
+    padding: '10px 12px', color: '#b91c1c', fontSize: '13px',
+  },
+  footer: {
+    padding: '14px 20px', borderTop: '1px solid #f0f0f0',
+    display: 'flex', justifyContent: 'flex-end', gap: '8px',
+  },
+}
+
+// ─── Component ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{
+ *   campaign: string,
+ *   mapping: object,
+ *   instance: object,
+ *   account: object,
+ *   loginRequest: object,
+ *   onSaved: (mapping: object) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function TemplateFieldMappingEditor({ campaign, mapping, instance, account, loginRequest, onSaved, onClose }) {
+  const [rows, setRows] = useState(() => toRows(normalizeTemplateFieldMapping(mapping)))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const updateRow = (section, index, changes) => {
+    setRows((prev) => ({
+      ...prev,
+      [section]: prev[section].map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    }))
+  }
+  const addRow = (section, row) => setRows((prev) => ({ ...prev, [section]: [...prev[section], row] }))
+  const removeRow = (section, index) => setRows((prev) => ({ ...prev, [section]: prev[section].filter((_, i) => i !== index) }))
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const token = await getAccessToken(instance, account, loginRequest)
+      const saved = await saveTemplateFieldMapping(token, campaign, fromRows(rows), { clientId: account?.username })
+      onSaved(normalizeTemplateFieldMapping(saved))
+    } catch (e) {
+      setError(`Couldn't save the mapping: ${e.message}`)
+      setSaving(false)
+    }
+  }
+
+  const renderPairs = (section, [leftKey, rightKey], [leftPlaceholder, rightPlaceholder], emptyRow) => (
+    <>
+      {rows[section].map((row, index) => (
+        <div key={index} style={S.row}>
+          <input
+            style={S.input}
+            value={row[leftKey]}
+            placeholder={leftPlaceholder}
+            onChange={(e) => updateRow(section, index, { [leftKey]: e.target.value })}
+          />
+          <span style={S.arrow}>→</span>
+          <input
+            style={S.input}
+            value={row[rightKey]}
+            placeholder={rightPlaceholder}
+            onChange={(e) => updateRow(section, index, { [rightKey]: e.target.value })}
+          />
+          <button type="button" style={S.btnDanger} onClick={() => removeRow(section, index)}>Remove</button>
+        </div>
+      ))}
+      <div>
+        <button type="button" style={S.btnSecondary} onClick={() => addRow(section, emptyRow)}>+ Add</button>
+      </div>
+    </>
+  )
+
+  return (
+    <div style={S.overlay} onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={S.card}>
+
+        {/* Header */}
+        <div style={S.header}>
+          <h2 style={S.headerTitle}>Template field mapping · {campaign}</h2>
+          <button style={S.closeBtn} onClick={onClose} title="Close">×</button>
+        </div>
+
+        {/* Body */}
+        <div style={S.body}>
+          {error && <div style={S.error}>{error}</div>}
+
+          <div style={S.section}>
+            <h3 style={S.sectionTitle}>Contact fields</h3>
+            <p style={S.hint}>
+              A contact field fills the template key next to it, e.g. <code>custom_field_1</code> → <code>vehicle</code> makes {'{{vehicle}}'} the contact's custom field 1.
+              Every contact field is also available under its own name.
+            </p>
+            {renderPairs('fields', ['contactField', 'templateKey'], ['contact field', 'template key'], { contactField: '', templateKey: '' })}
+          </div>
+
+          <div style={S.section}>
+            <h3 style={S.sectionTitle}>Aliases</h3>
+            <p style={S.hint}>Other token names that read the same template key, e.g. {'{{template_vehicle}}'}.</p>
+            {renderPairs('aliases', ['alias', 'templateKey'], ['alias', 'template key'], { alias: '', templateKey: '' })}
+          </div>
+
+          <div style={S.section}>
+            <h3 style={S.sectionTitle}>Defaults</h3>
+            <p style={S.hint}>Used when a contact has no value for the key. A token's own <code>| default:</code> still wins.</p>
+            {renderPairs('defaults', ['templateKey', 'value'], ['template key', 'default value'], { templateKey: '', value: '' })}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div style={S.footer}>
+          <button
+            type="button"
+            style={{ ...S.btnSecondary, marginRight: 'auto' }}
+            disabled={saving}
+            onClick={() => setRows(toRows(normalizeTemplateFieldMapping(DEFAULT_TEMPLATE_FIELD_MAPPING)))}
+          >
+            Reset to built-in mapping
+          </button>
+          <button type="button" style={S.btnSecondary} disabled={saving} onClick={onClose}>Cancel</button>
+          <button type="button" style={S.btnPrimary} disabled={saving || !campaign} onClick={handleSave}>
+            {saving ? 'Saving…' : 'Save for this campaign'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,221 @@
+/**
+ * TemplateizeRulesEditor.jsx
+ *
+ * Modal for editing the templateize rule sets that turn phrases in an
+ * uploaded DOCX into {{placeholder}} tokens. Edits are previewed live against
+ * the uploaded DOCX; built-in sets are saved as custom copies.
+ */
+
+import { useState, useMemo } from 'react'
+import { TEMPLATEIZE_MATCH_KINDS, TEMPLATEIZE_SCOPES, templateizeContent } from './utils/templateize'
+
+const EMPTY_RULE = { before: '', after: '', match: 'word', token: '', scope: 'body', maxOccurrences: 1 }
+
+const createRuleId = () => `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+// ─── Styles ──────────────────────────────────────────────────────────────────
+
+const S = {
+  overlay: {
+    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.55)',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+    zIndex: 9999, padding: '16px',
+  },
+  card: {
+    background: '#fff', borderRadius: '12px', width: '100%', maxWidth: '980px',
+    maxHeight: '90vh', display: 'flex', flexDirection: 'column',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.25)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '14px', color: '#111827',
+  },
+  header: {
+    background: '#18181b', color: '#fff', padding: '16px 20px',
+    borderRadius: '12px 12px 0 0',
+    display: 'flex', alignItems: 'center', gap: '10px',
+  },
+  headerTitle: { margin: 0, fontSize: '16px', fontWeight: 600, flex: 1 },
+  closeBtn: {
+    background: 'none', border: 'none', color: '#a1a1aa', cursor: 'pointer',
+    fontSize: '20px', lineHeight: 1, padding: '2px 6px', borderRadius: '4px',
+  },
+  body: { overflowY: 'auto', padding: '20px', display: 'flex', flexDirection: 'column', gap: '14px' },
+  row: { display: 'flex', gap: '12px', alignItems: 'flex-end' },
+  field: { display: 'flex', flexDirection: 'column', gap: '5px', flex: 1 },
+  label: { fontSize: '12px', fontWeight: 600, color: '#374151', textTransform: 'uppercase', letterSpacing: '0.04em' },
+  input: {
+    border: '1px solid #d1d5db', borderRadius: '6px', padding: '6px 8px',
+    fontSize: '13px', outline: 'none', background: '#fff', width: '100%',
+    boxSizing: 'border-box', color: '#111827',
+  },
+  rule: (flagged) => ({
+    border: `1px solid ${flagged ? '#fcd34d' : '#e5e7eb'}`, borderRadius: '8px', padding: '12px 14px',
+    background: flagged ? '#fffbeb' : '#fafafa', display: 'flex', flexDirection: 'column', gap: '8px',
+  }),
+  ruleGrid: { display: 'grid', gridTemplateColumns: '1.3fr 1.3fr 1fr 1.3fr 0.8fr 0.6fr auto', gap: '8px', alignItems: 'end' },
+  status: (color) => ({ fontSize: '12px', fontWeight: 600, color: color === 'green' ? '#15803d' : color === 'red' ? '#b91c1c' : '#a16207' }),
+  sample: { margin: 0, fontSize: '12px', color: '#4b5563', fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace' },
+  removed: { background: '#fee2e2', color: '#b91c1c', textDecoration: 'line-through', padding: '0 2px' },
+  added: { background: '#dcfce7', color: '#15803d', padding: '0 2px' },
+  btnPrimary: {
+    background: '#2563eb', color: '#fff', border: 'none', borderRadius: '6px',
+    padding: '8px 16px', cursor: 'pointer', fontWeight: 600, fontSize: '13px',
+  },
+  btnSecondary: {
+    background: 'none', color: '#374151', border: '1px solid #d1d5db',
+    borderRadius: '6px', padding: '7px 13px', cursor: 'pointer', fontSize: '13px',
+  },
+  btnDanger: {
+    background: 'none', color: '#dc2626', border: '1px solid #fca5a5',
+    borderRadius: '6px', padding: '5px 10px', cursor: 'pointer', fontSize: '12px',
+  },
+  hint: { fontSize: '12px', color: '#6b7280', margin: 0 },
+  footer: {
+    padding: '14px 20px', borderTop: '1px solid #f0f0f0',
+    display: 'flex', justifyContent: 'flex-end', gap: '8px',
+  },
+}
+
+// ─── Component ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{
+ *   ruleSet: { id: string, name: string, builtIn?: boolean, rules: object[] },
+ *   source: { html: string, text: string, subject: string } | null,
+ *   onSave: (ruleSet: object) => void,
+ *   onDelete?: (id: string) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function TemplateizeRulesEditor({ ruleSet, source, onSave, onDelete, onClose }) {
+  const [name, setName] = useState(ruleSet.builtIn ? `${ruleSet.name} (custom)` : ruleSet.name)
+  const [rules, setRules] = useState(() => ruleSet.rules.map((rule) => ({ ...rule })))
+
+  const report = useMemo(
+    () => (source ? templateizeContent(source, rules).report : null),
+    [source, rules]
+  )
+
+  const updateRule = (index, changes) => {
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)))
+  }
+
+  const handleSave = () => {
+    onSave({
+      id: ruleSet.builtIn ? `custom-${Date.now().toString(36)}` : ruleSet.id,
+      name: name.trim() || 'Custom rules',
+      rules: rules.map((rule) => ({ ...rule, maxOccurrences: Number(rule.maxOccurrences) || 0 })),
+    })
+  }
+
+  return (
+    <div style={S.overlay} onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={S.card}>
+
+        {/* Header */}
+        <div style={S.header}>
+          <h2 style={S.headerTitle}>Templateize rules</h2>
+          <button style={S.closeBtn} onClick={onClose} title="Close">×</button>
+        </div>
+
+        {/* Body */}
+        <div style={S.body}>
+          <div style={S.row}>
+            <label style={S.field}>
+              <span style={S.label}>Rule set name</span>
+              <input style={S.input} value={name} onChange={(e) => setName(e.target.value)} />
+            </label>
+          </div>
+          <p style={S.hint}>
+            Each rule replaces the text between two literal anchors with a {'{{token}}'}.
+            {source ? ' Matches below are from the uploaded DOCX and update as you edit.' : ' Upload a DOCX to see what each rule matches.'}
+            {ruleSet.builtIn && ' Saving creates a custom copy; the built-in set is left as is.'}
+          </p>
+
+          {rules.map((rule, index) => {
+            const entry = report?.[index]
+            const flagged = Boolean(entry && (entry.error || entry.matches.length === 0))
+            return (
+              <div key={rule.id} style={S.rule(flagged)}>
+                <div style={S.ruleGrid}>
+                  <label style={S.field}>
+                    <span style={S.label}>Before</span>
+                    <input style={S.input} value={rule.before} onChange={(e) => updateRule(index, { before: e.target.value })} />
+                  </label>
+                  <label style={S.field}>
+                    <span style={S.label}>After</span>
+                    <input style={S.input} value={rule.after} onChange={(e) => updateRule(index, { after: e.target.value })} />
+                  </label>
+                  <label style={S.field}>
+                    <span style={S.label}>Match</span>
+                    <select style={S.input} value={rule.match} onChange={(e) => updateRule(index, { match: e.target.value })}>
+                      {Object.entries(TEMPLATEIZE_MATCH_KINDS).map(([kind, { label }]) => (
+                        <option key={kind} value={kind}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={S.field}>
+                    <span style={S.label}>Token</span>
+                    <input style={S.input} value={rule.token} onChange={(e) => updateRule(index, { token: e.target.value })} />
+                  </label>
+                  <label style={S.field}>
+                    <span style={S.label}>Scope</span>
+                    <select style={S.input} value={rule.scope} onChange={(e) => updateRule(index, { scope: e.target.value })}>
+                      {TEMPLATEIZE_SCOPES.map((scope) => <option key={scope} value={scope}>{scope}</option>)}
+                    </select>
+                  </label>
+                  <label style={S.field} title="0 replaces every occurrence">
+                    <span style={S.label}>Max</span>
+                    <input
+                      style={S.input}
+                      type="number"
+                      min="0"
+                      value={rule.maxOccurrences}
+                      onChange={(e) => updateRule(index, { maxOccurrences: e.target.value })}
+                    />
+                  </label>
+                  <button type="button" style={S.btnDanger} onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}>
+                    Remove
+                  </button>
+                </div>
+
+                {entry?.error && <span style={S.status('red')}>⚠️ {entry.error}</span>}
+                {entry && !entry.error && entry.matches.length === 0 && (
+                  <span style={S.status('amber')}>⚠️ Matched nothing in the uploaded DOCX</span>
+                )}
+                {entry?.matches.map((match, matchIndex) => (
+                  <p key={matchIndex} style={S.sample}>
+                    …{match.before}
+                    <span style={S.removed}>{match.matched}</span>
+                    <span style={S.added}>{`{{${rule.token.trim()}}}`}</span>
+                    {match.after}…
+                  </p>
+                ))}
+              </div>
+            )
+          })}
+
+          <div>
+            <button
+              type="button"
+              style={S.btnSecondary}
+              onClick={() => setRules((prev) => [...prev, { ...EMPTY_RULE, id: createRuleId() }])}
+            >
+              + Add rule
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div style={S.footer}>
+          {!ruleSet.builtIn && onDelete && (
+            <button type="button" style={{ ...S.btnDanger, marginRight: 'auto' }} onClick={() => onDelete(ruleSet.id)}>
+              Delete rule set
+            </button>
+          )}
+          <button type="button" style={S.btnSecondary} onClick={onClose}>Cancel</button>
+          <button type="button" style={S.btnPrimary} onClick={handleSave}>Save and apply</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,16 +1,137 @@
-import { useState } from 'react'
-import { unsubscribeMarketingContact } from '../graphApi'
+import { useEffect, useState } from 'react'
+import { fetchContactPreferences, requestUnsubscribeLink, unsubscribeMarketingContact, updateContactPreferences } from '../graphApi'
+import { UNSUBSCRIBE_MESSAGES, resolveUnsubscribeLanguage } from './i18n/unsubscribe'
+import { UNSUBSCRIBE_REASONS } from './utils/unsubscribe'
 import './unsubscribe.css'
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 
+const TOPIC_KEYS = ['product_news', 'auto_dealer_campaigns', 'events']
+const FREQUENCY_KEYS = ['normal', 'weekly', 'monthly']
+const LANGUAGE_KEYS = Object.keys(UNSUBSCRIBE_MESSAGES)
+
+// Renders a catalog message, bolding the recipient's address where the
+// message has an {email} placeholder.
+const withEmail = (message, email) => {
+  const [before, after = ''] = message.split('{email}')
+  return <>{before}<strong>{email}</strong>{after}</>
+}
+
+const readTokenFromUrl = () => new URLSearchParams(window.location.search).get('token') || ''
+
+// Links in our emails carry a signed token, which opens the preference
+// center for that recipient: narrow topics, slow down, switch language,
+// unsubscribe from everything, or resubscribe. Visitors without a token (or
+// with an expired one) can ask for a fresh link by email; an address alone
+// never changes anyone's subscription.
 export default function UnsubscribeApp() {
+  const [language] = useState(() => resolveUnsubscribeLanguage(window.location.search, navigator.languages || [navigator.language]))
+  const messages = UNSUBSCRIBE_MESSAGES[language]
+  const [token] = useState(readTokenFromUrl)
+  const [tokenEmail, setTokenEmail] = useState('')
+  const [preferences, setPreferences] = useState(null)
+  const [loadingPreferences, setLoadingPreferences] = useState(Boolean(token))
+  const [tokenError, setTokenError] = useState('')
   const [email, setEmail] = useState('')
   const [submitting, setSubmitting] = useState(false)
   const [statusText, setStatusText] = useState('')
   const [error, setError] = useState('')
+  // Unsubscribing goes through an optional "why?" step before the call.
+  const [askingReason, setAskingReason] = useState(false)
+  const [reason, setReason] = useState('')
+  const [reasonDetails, setReasonDetails] = useState('')
+
+  useEffect(() => {
+    document.documentElement.lang = language.toLowerCase()
+    document.title = messages.documentTitle
+  }, [language, messages])
 
-  const handleSubmit = async (event) => {
+  useEffect(() => {
+    if (!token) return
+    let cancelled = false
+    fetchContactPreferences(token)
+      .then((result) => {
+        if (cancelled) return
+        setTokenEmail(result.email)
+        setPreferences({
+          ...result.preferences,
+          topics: result.preferences.topics ?? TOPIC_KEYS,
+          language: result.preferences.language || language,
+        })
+      })
+      .catch(() => {
+        if (!cancelled) setTokenError(messages.tokenInvalid)
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingPreferences(false)
+      })
+    return () => { cancelled = true }
+  }, [token, language, messages])
+
+  // Backend errors are English-only, so the page shows its own localized
+  // message for any failure.
+  const runTokenAction = async (action, successText) => {
+    setError('')
+    setStatusText('')
+    setSubmitting(true)
+
+    try {
+      await action()
+      setStatusText(successText)
+    } catch {
+      setError(messages.updateFailed)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const toggleTopic = (topicKey) => {
+    setPreferences((prev) => ({
+      ...prev,
+      topics: prev.topics.includes(topicKey)
+        ? prev.topics.filter((key) => key !== topicKey)
+        : [...prev.topics, topicKey],
+    }))
+  }
+
+  // Unticking every topic is the same as unsubscribing, so it goes through
+  // the unsubscribe call rather than saving an empty topic list.
+  const handleSavePreferences = (event) => {
+    event.preventDefault()
+    if (!preferences.topics.length) {
+      handleUnsubscribe()
+      return
+    }
+    runTokenAction(async () => {
+      const { topics, frequency, language: preferredLanguage } = preferences
+      await updateContactPreferences(token, { subscribed: true, topics, frequency, language: preferredLanguage })
+    }, messages.preferencesSaved)
+  }
+
+  const handleUnsubscribe = () => {
+    setError('')
+    setStatusText('')
+    setAskingReason(true)
+  }
+
+  const handleConfirmUnsubscribe = (event) => {
+    event.preventDefault()
+    runTokenAction(async () => {
+      await unsubscribeMarketingContact(token, { reason, reasonDetails })
+      setPreferences((prev) => ({ ...prev, subscribed: false }))
+      setAskingReason(false)
+    }, messages.unsubscribed)
+  }
+
+  const handleResubscribe = () => {
+    runTokenAction(async () => {
+      const topics = preferences.topics.length ? preferences.topics : TOPIC_KEYS
+      await updateContactPreferences(token, { subscribed: true, topics })
+      setPreferences((prev) => ({ ...prev, subscribed: true, topics }))
+    }, messages.resubscribed)
+  }
+
+  const handleRequestLink = async (event) => {
     event.preventDefault()
 
     const normalizedEmail = email.trim().toLowerCase()
@@ -18,52 +139,179 @@ export default function UnsubscribeApp() {
     setStatusText('')
 
     if (!normalizedEmail) {
-      setError('Please enter an email address.')
+      setError(messages.emailRequired)
       return
     }
 
     if (!EMAIL_REGEX.test(normalizedEmail)) {
-      setError('Please enter a valid email address.')
+      setError(messages.emailInvalid)
       return
     }
 
     setSubmitting(true)
 
     try {
-      await unsubscribeMarketingContact(normalizedEmail)
-      setStatusText('Done')
-    } catch (err) {
-      setError(err.message || 'Unable to process your unsubscribe request.')
+      await requestUnsubscribeLink(normalizedEmail)
+      setStatusText(messages.linkRequested)
+    } catch {
+      setError(messages.requestFailed)
     } finally {
       setSubmitting(false)
     }
   }
 
+  const showPreferenceCenter = Boolean(token) && !tokenError
+
   return (
     <main className="unsubscribe-shell">
       <section className="unsubscribe-card">
-        <h1>Unsubscribe from Shake Defi marketing</h1>
-        <p className="unsubscribe-instructions">Enter your email address to unsubscribe</p>
-
-        <form className="unsubscribe-form" onSubmit={handleSubmit}>
-          <input
-            className="unsubscribe-input"
-            type="email"
-            value={email}
-            onChange={(event) => setEmail(event.target.value)}
-            placeholder="name@example.com"
-            autoComplete="email"
-            aria-label="Email address"
-          />
-
-          <button className="unsubscribe-button" type="submit" disabled={submitting}>
-            {submitting ? 'Submitting…' : 'Submit'}
-          </button>
-
-          {statusText && <p className="unsubscribe-status">{statusText}</p>}
-          {error && <p className="unsubscribe-error">{error}</p>}
-        </form>
+        <h1>{showPreferenceCenter ? messages.preferencesTitle : messages.unsubscribeTitle}</h1>
+
+        {showPreferenceCenter ? (
+          loadingPreferences ? (
+            <p className="unsubscribe-instructions">{messages.checkingLink}</p>
+          ) : preferences?.subscribed && askingReason ? (
+            <form className="unsubscribe-form" onSubmit={handleConfirmUnsubscribe}>
+              <p className="unsubscribe-instructions">{messages.reasonPrompt}</p>
+
+              <fieldset className="preference-group">
+                {UNSUBSCRIBE_REASONS.map((reasonKey) => (
+                  <label key={reasonKey} className="preference-option">
+                    <input
+                      type="radio"
+                      name="unsubscribe-reason"
+                      value={reasonKey}
+                      checked={reason === reasonKey}
+                      onChange={() => setReason(reasonKey)}
+                    />
+                    {messages.reasons[reasonKey]}
+                  </label>
+                ))}
+              </fieldset>
+
+              <label className="preference-group">
+                <span>{messages.reasonDetailsLabel}</span>
+                <textarea
+                  className="unsubscribe-input"
+                  rows={3}
+                  maxLength={1000}
+                  value={reasonDetails}
+                  onChange={(event) => setReasonDetails(event.target.value)}
+                />
+              </label>
+
+              <button className="unsubscribe-button unsubscribe-button--secondary" type="submit" disabled={submitting}>
+                {submitting ? messages.submitting : messages.confirmUnsubscribe}
+              </button>
+
+              <button className="unsubscribe-button" type="button" onClick={() => setAskingReason(false)} disabled={submitting}>
+                {messages.back}
+              </button>
+
+              {error && <p className="unsubscribe-error">{error}</p>}
+            </form>
+          ) : preferences?.subscribed ? (
+            <form className="unsubscribe-form" onSubmit={handleSavePreferences}>
+              <p className="unsubscribe-instructions">
+                {withEmail(messages.managePrompt, tokenEmail)}
+              </p>
+
+              <fieldset className="preference-group">
+                <legend>{messages.topicsLabel}</legend>
+                {TOPIC_KEYS.map((topicKey) => (
+                  <label key={topicKey} className="preference-option">
+                    <input
+                      type="checkbox"
+                      checked={preferences.topics.includes(topicKey)}
+                      onChange={() => toggleTopic(topicKey)}
+                    />
+                    {messages.topics[topicKey]}
+                  </label>
+                ))}
+              </fieldset>
+
+              <label className="preference-group">
+                <span>{messages.frequencyLabel}</span>
+                <select
+                  className="unsubscribe-input"
+                  value={preferences.frequency}
+                  onChange={(event) => setPreferences((prev) => ({ ...prev, frequency: event.target.value }))}
+                >
+                  {FREQUENCY_KEYS.map((frequencyKey) => (
+                    <option key={frequencyKey} value={frequencyKey}>{messages.frequencies[frequencyKey]}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="preference-group">
+                <span>{messages.languageLabel}</span>
+                <select
+                  className="unsubscribe-input"
+                  value={preferences.language}
+                  onChange={(event) => setPreferences((prev) => ({ ...prev, language: event.target.value }))}
+                >
+                  {LANGUAGE_KEYS.map((languageKey) => (
+                    <option key={languageKey} value={languageKey}>{UNSUBSCRIBE_MESSAGES[languageKey].languageName}</option>
+                  ))}
+                </select>
+              </label>
+
+              <button className="unsubscribe-button" type="submit" disabled={submitting}>
+                {submitting ? messages.submitting : messages.savePreferences}
+              </button>
+
+              <button
+                className="unsubscribe-button unsubscribe-button--secondary"
+                type="button"
+                onClick={handleUnsubscribe}
+                disabled={submitting}
+              >
+                {messages.unsubscribeAll}
+              </button>
+
+              {statusText && <p className="unsubscribe-status">{statusText}</p>}
+              {error && <p className="unsubscribe-error">{error}</p>}
+            </form>
+          ) : (
+            <div className="unsubscribe-form">
+              <p className="unsubscribe-instructions">
+                {withEmail(messages.unsubscribedPrompt, tokenEmail)}
+              </p>
+
+              <button className="unsubscribe-button" type="button" onClick={handleResubscribe} disabled={submitting}>
+                {submitting ? messages.submitting : messages.resubscribe}
+              </button>
+
+              {statusText && <p className="unsubscribe-status">{statusText}</p>}
+              {error && <p className="unsubscribe-error">{error}</p>}
+            </div>
+          )
+        ) : (
+          <>
+            {tokenError && <p className="unsubscribe-error">{tokenError}</p>}
+            <p className="unsubscribe-instructions">{messages.requestPrompt}</p>
+
+            <form className="unsubscribe-form" onSubmit={handleRequestLink}>
+              <input
+                className="unsubscribe-input"
+                type="email"
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                placeholder={messages.emailPlaceholder}
+                autoComplete="email"
+                aria-label={messages.emailAriaLabel}
+              />
+
+              <button className="unsubscribe-button" type="submit" disabled={submitting}>
+                {submitting ? messages.submitting : messages.requestLink}
+              </button>
+
+              {statusText && <p className="unsubscribe-status">{statusText}</p>}
+              {error && <p className="unsubscribe-error">{error}</p>}
+            </form>
+          </>
+        )}
       </section>
     </main>
   )
-}
\ No newline at end of file
+}
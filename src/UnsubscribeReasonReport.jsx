@@ -0,0 +1,141 @@
+/**
+ * UnsubscribeReasonReport.jsx
+ *
+ * Modal summarizing why contacts unsubscribed, week by week, from the
+ * reasons collected on the unsubscribe page.
+ */
+
+import { useState, useEffect } from 'react'
+import { getAccessToken, fetchUnsubscribeReasonReport } from '../graphApi'
+import { UNSUBSCRIBE_MESSAGES } from './i18n/unsubscribe'
+import { UNSUBSCRIBE_REASONS } from './utils/unsubscribe'
+
+const REPORT_WEEKS = 8
+const MAX_RECENT_COMMENTS = 10
+
+const REASON_LABELS = {
+  ...UNSUBSCRIBE_MESSAGES.EN.reasons,
+  none: 'No reason given',
+}
+
+const REASON_COLUMNS = [...UNSUBSCRIBE_REASONS, 'none']
+
+// ─── Styles ──────────────────────────────────────────────────────────────────
+
+const S = {
+  overlay: {
+    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.55)',
+    display: 'flex', alignItems: 'center', justifyContent: 'center',
+    zIndex: 9999, padding: '16px',
+  },
+  card: {
+    background: '#fff', borderRadius: '12px', width: '100%', maxWidth: '760px',
+    maxHeight: '90vh', display: 'flex', flexDirection: 'column',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.25)',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '14px', color: '#111827',
+  },
+  header: {
+    background: '#18181b', color: '#fff', padding: '16px 20px',
+    borderRadius: '12px 12px 0 0',
+    display: 'flex', alignItems: 'center', gap: '10px',
+  },
+  headerTitle: { margin: 0, fontSize: '16px', fontWeight: 600, flex: 1 },
+  closeBtn: {
+    background: 'none', border: 'none', color: '#a1a1aa', cursor: 'pointer',
+    fontSize: '20px', lineHeight: 1, padding: '2px 6px', borderRadius: '4px',
+  },
+  body: { overflowY: 'auto', padding: '20px', display: 'flex', flexDirection: 'column', gap: '20px' },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: '13px' },
+  th: {
+    textAlign: 'right', padding: '6px 8px', borderBottom: '1px solid #e5e7eb',
+    fontSize: '11px', fontWeight: 600, color: '#374151', textTransform: 'uppercase', letterSpacing: '0.04em',
+  },
+  td: { textAlign: 'right', padding: '6px 8px', borderBottom: '1px solid #f3f4f6' },
+  sectionTitle: { fontSize: '15px', fontWeight: 600, margin: '0 0 8px', color: '#111827' },
+  comment: { margin: '0 0 6px', padding: '8px 12px', background: '#fafafa', borderRadius: '6px', color: '#374151' },
+  error: { background: '#fef2f2', border: '1px solid #fca5a5', borderRadius: '6px', padding: '10px 14px', color: '#b91c1c', fontSize: '13px' },
+  emptyState: { textAlign: 'center', color: '#6b7280', padding: '24px 0', fontSize: '13px' },
+}
+
+// ─── Component ────────────────────────────────────────────────────────────────
+
+export default function UnsubscribeReasonReport({ instance, account, loginRequest, onClose }) {
+  const [weeks, setWeeks]         = useState([])
+  const [loading, setLoading]     = useState(true)
+  const [loadError, setLoadError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getAccessToken(instance, account, loginRequest)
+      .then((token) => fetchUnsubscribeReasonReport(token, { weeks: REPORT_WEEKS, clientId: account?.username }))
+      .then((report) => {
+        if (!cancelled) setWeeks(report.weeks)
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [instance, account, loginRequest])
+
+  const recentComments = [...weeks].reverse().flatMap((week) => week.details).slice(0, MAX_RECENT_COMMENTS)
+
+  return (
+    <div style={S.overlay} onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={S.card}>
+
+        {/* Header */}
+        <div style={S.header}>
+          <h2 style={S.headerTitle}>Unsubscribe reasons — last {REPORT_WEEKS} weeks</h2>
+          <button style={S.closeBtn} onClick={onClose} title="Close">×</button>
+        </div>
+
+        {/* Body */}
+        <div style={S.body}>
+          {loading && <p style={S.emptyState}>Loading…</p>}
+          {!loading && loadError && <p style={S.error}>{loadError}</p>}
+          {!loading && !loadError && weeks.length === 0 && (
+            <p style={S.emptyState}>No unsubscribes in this period.</p>
+          )}
+
+          {!loading && weeks.length > 0 && (
+            <table style={S.table}>
+              <thead>
+                <tr>
+                  <th style={{ ...S.th, textAlign: 'left' }}>Week of</th>
+                  {REASON_COLUMNS.map((reason) => (
+                    <th key={reason} style={S.th}>{REASON_LABELS[reason]}</th>
+                  ))}
+                  <th style={S.th}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {weeks.map((week) => (
+                  <tr key={week.week_start}>
+                    <td style={{ ...S.td, textAlign: 'left' }}>{week.week_start}</td>
+                    {REASON_COLUMNS.map((reason) => (
+                      <td key={reason} style={S.td}>{week.counts[reason] || 0}</td>
+                    ))}
+                    <td style={{ ...S.td, fontWeight: 600 }}>{week.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {recentComments.length > 0 && (
+            <div>
+              <h3 style={S.sectionTitle}>Recent comments</h3>
+              {recentComments.map((comment, index) => (
+                <p key={index} style={S.comment}>{comment}</p>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
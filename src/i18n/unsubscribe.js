@@ -0,0 +1,133 @@
+// src/i18n/unsubscribe.js
+
+// Copy for the unsubscribe / preference center page, keyed by the same
+// language codes as the mailer's Language selector. To add a language, add a
+// catalog here with every key EN has; `languageName` is shown in its own
+// language in the preference center's language picker.
+// `{email}` in a message is replaced with the recipient's address.
+export const UNSUBSCRIBE_MESSAGES = {
+  EN: {
+    languageName: 'English',
+    documentTitle: 'Unsubscribe',
+    preferencesTitle: 'Shake Defi email preferences',
+    unsubscribeTitle: 'Unsubscribe from Shake Defi marketing',
+    checkingLink: 'Checking your unsubscribe link…',
+    managePrompt: 'Choose what {email} hears from us.',
+    topicsLabel: 'Topics',
+    topics: {
+      product_news: 'Product news',
+      auto_dealer_campaigns: 'Auto-dealer campaigns',
+      events: 'Events',
+    },
+    frequencyLabel: 'How often',
+    frequencies: {
+      normal: 'Every campaign email',
+      weekly: 'At most once a week',
+      monthly: 'At most once a month',
+    },
+    languageLabel: 'Language',
+    savePreferences: 'Save preferences',
+    unsubscribeAll: 'Unsubscribe from all…',
+    unsubscribedPrompt: '{email} is unsubscribed from Shake Defi marketing emails.',
+    resubscribe: 'Resubscribe',
+    reasonPrompt: 'Before you go, could you tell us why? (optional)',
+    reasons: {
+      not_relevant: 'Not relevant to my business',
+      too_frequent: 'Too frequent',
+      never_signed_up: 'I never signed up',
+      other: 'Something else',
+    },
+    reasonDetailsLabel: 'Anything else you would like to tell us?',
+    confirmUnsubscribe: 'Confirm unsubscribe',
+    back: 'Back',
+    requestPrompt: "Enter your email address and we'll send you a link to confirm your unsubscribe.",
+    emailPlaceholder: 'name@example.com',
+    emailAriaLabel: 'Email address',
+    requestLink: 'Email me a link',
+    submitting: 'Submitting…',
+    preferencesSaved: 'Your email preferences have been saved.',
+    unsubscribed: 'You have been unsubscribed.',
+    resubscribed: 'Welcome back — you have been resubscribed.',
+    linkRequested: 'If that address is on our list, we have emailed it an unsubscribe link.',
+    emailRequired: 'Please enter an email address.',
+    emailInvalid: 'Please enter a valid email address.',
+    tokenInvalid: 'This unsubscribe link is invalid or has expired.',
+    updateFailed: 'Unable to update your email preferences. Please try again.',
+    requestFailed: 'Unable to process your unsubscribe request. Please try again.',
+  },
+  ES: {
+    languageName: 'Español',
+    documentTitle: 'Cancelar suscripción',
+    preferencesTitle: 'Preferencias de correo de Shake Defi',
+    unsubscribeTitle: 'Cancelar la suscripción a los correos de Shake Defi',
+    checkingLink: 'Verificando su enlace de cancelación…',
+    managePrompt: 'Elija qué correos recibe {email} de nuestra parte.',
+    topicsLabel: 'Temas',
+    topics: {
+      product_news: 'Novedades del producto',
+      auto_dealer_campaigns: 'Campañas para concesionarios',
+      events: 'Eventos',
+    },
+    frequencyLabel: 'Frecuencia',
+    frequencies: {
+      normal: 'Todos los correos de la campaña',
+      weekly: 'Como máximo una vez por semana',
+      monthly: 'Como máximo una vez al mes',
+    },
+    languageLabel: 'Idioma',
+    savePreferences: 'Guardar preferencias',
+    unsubscribeAll: 'Cancelar todos los correos…',
+    unsubscribedPrompt: '{email} ya no recibe correos de marketing de Shake Defi.',
+    resubscribe: 'Volver a suscribirme',
+    reasonPrompt: 'Antes de irse, ¿podría decirnos por qué? (opcional)',
+    reasons: {
+      not_relevant: 'No es relevante para mi negocio',
+      too_frequent: 'Demasiado frecuentes',
+      never_signed_up: 'Nunca me suscribí',
+      other: 'Otro motivo',
+    },
+    reasonDetailsLabel: '¿Hay algo más que quiera contarnos?',
+    confirmUnsubscribe: 'Confirmar la cancelación',
+    back: 'Volver',
+    requestPrompt: 'Introduzca su correo electrónico y le enviaremos un enlace para confirmar la cancelación.',
+    emailPlaceholder: 'nombre@ejemplo.com',
+    emailAriaLabel: 'Correo electrónico',
+    requestLink: 'Enviarme un enlace',
+    submitting: 'Enviando…',
+    preferencesSaved: 'Sus preferencias de correo se han guardado.',
+    unsubscribed: 'Su suscripción ha sido cancelada.',
+    resubscribed: 'Bienvenido de nuevo: se ha vuelto a suscribir.',
+    linkRequested: 'Si esa dirección está en nuestra lista, le hemos enviado un enlace de cancelación.',
+    emailRequired: 'Introduzca una dirección de correo electrónico.',
+    emailInvalid: 'Introduzca una dirección de correo electrónico válida.',
+    tokenInvalid: 'Este enlace de cancelación no es válido o ha caducado.',
+    updateFailed: 'No se pudieron actualizar sus preferencias. Inténtelo de nuevo.',
+    requestFailed: 'No se pudo procesar su solicitud de cancelación. Inténtelo de nuevo.',
+  },
+}
+
+export const DEFAULT_UNSUBSCRIBE_LANGUAGE = 'EN'
+
+const toSupportedLanguage = (value) => {
+  const code = String(value || '').trim().slice(0, 2).toUpperCase()
+  return UNSUBSCRIBE_MESSAGES[code] ? code : null
+}
+
+/**
+ * Picks the page language: an explicit `lang` query parameter (set on the
+ * links in our emails) wins, then the browser's preferred languages — the
+ * same list it sends as Accept-Language — then English.
+ * @param {string} search window.location.search
+ * @param {readonly string[]} [browserLanguages] navigator.languages
+ */
+export function resolveUnsubscribeLanguage(search, browserLanguages = []) {
+  const fromLink = toSupportedLanguage(new URLSearchParams(search).get('lang'))
+  if (fromLink) return fromLink
+
+  for (const browserLanguage of browserLanguages) {
+    const supported = toSupportedLanguage(browserLanguage)
+    if (supported) return supported
+  }
+
+  return DEFAULT_UNSUBSCRIBE_LANGUAGE
+}
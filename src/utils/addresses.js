@@ -0,0 +1,28 @@
+// src/utils/addresses.js
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Splits a comma, semicolon or whitespace separated list of addresses as
+ * typed into the campaign header fields. Addresses are lowercased and
+ * de-duplicated; anything that doesn't look like an address is returned in
+ * `invalid` so the UI can point at it.
+ * @param {string} text
+ * @returns {{ addresses: string[], invalid: string[] }}
+ */
+export function parseAddressList(text) {
+  const addresses = []
+  const invalid = []
+
+  for (const entry of String(text || '').split(/[\s,;]+/)) {
+    const address = entry.trim().toLowerCase()
+    if (!address) continue
+    if (!EMAIL_PATTERN.test(address)) {
+      invalid.push(entry.trim())
+      continue
+    }
+    if (!addresses.includes(address)) addresses.push(address)
+  }
+
+  return { addresses, invalid }
+}
@@ -0,0 +1,79 @@
+// src/utils/attachments.js
+
+// Graph sends a message as one MIME sendMail body only while the request
+// stays under 4 MB. Larger messages go through a draft: each attachment is
+// added with its own request, and files over this threshold are streamed
+// through an attachment upload session (see graphApi.js).
+export const UPLOAD_SESSION_THRESHOLD_BYTES = 3 * 1024 * 1024
+
+// Per-file and per-message caps. 25 MB is the smallest limit across the
+// providers we send through (Gmail SMTP, Exchange Online defaults).
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024
+export const MAX_TOTAL_ATTACHMENT_BYTES = 25 * 1024 * 1024
+
+// Sender-account sends post the complete MIME message to MessageHub, which
+// relays it over SMTP, where the providers' 25 MB limit applies to the
+// message as encoded. Base64 makes attachments about a third larger, so
+// this caps the MIME text rather than the raw files.
+export const SENDER_ACCOUNT_MAX_MIME_BYTES = 25 * 1024 * 1024
+const BASE64_GROWTH = 4 / 3
+
+export const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes < 1024) return `${bytes || 0} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  const chunkSize = 0x8000
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize))
+  }
+  return btoa(binary)
+}
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+/**
+ * Reads a picked File into the attachment shape shared by both send paths:
+ * { name, contentType, size, contentBytes } where contentBytes is base64.
+ */
+export async function readFileAsAttachment(file) {
+  const buffer = await file.arrayBuffer()
+  return {
+    name: file.name,
+    contentType: file.type || 'application/octet-stream',
+    size: file.size,
+    contentBytes: arrayBufferToBase64(buffer),
+  }
+}
+
+/**
+ * Returns a human-readable reason the attachment list can't be sent, or ''
+ * when every file and the combined total are within the size limits.
+ * `viaSenderAccount` also checks the encoded total against
+ * SENDER_ACCOUNT_MAX_MIME_BYTES.
+ */
+export function validateAttachments(attachments = [], { viaSenderAccount = false } = {}) {
+  const oversized = attachments.find((attachment) => attachment.size > MAX_ATTACHMENT_BYTES)
+  if (oversized) {
+    return `${oversized.name} is ${formatBytes(oversized.size)}; attachments are limited to ${formatBytes(MAX_ATTACHMENT_BYTES)} each.`
+  }
+
+  const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.size, 0)
+  if (totalBytes > MAX_TOTAL_ATTACHMENT_BYTES) {
+    return `Attachments total ${formatBytes(totalBytes)}; the limit per email is ${formatBytes(MAX_TOTAL_ATTACHMENT_BYTES)}.`
+  }
+  if (viaSenderAccount && totalBytes * BASE64_GROWTH > SENDER_ACCOUNT_MAX_MIME_BYTES) {
+    return `Attachments total ${formatBytes(totalBytes)}, about ${formatBytes(Math.round(totalBytes * BASE64_GROWTH))} once encoded; sender accounts accept up to ${formatBytes(SENDER_ACCOUNT_MAX_MIME_BYTES)} per email. Remove attachments or send from the signed-in mailbox.`
+  }
+
+  return ''
+}
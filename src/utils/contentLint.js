@@ -0,0 +1,201 @@
+// src/utils/contentLint.js
+import { applyTemplate, findTemplateErrors, findUnresolvedTokens } from './template.js'
+import { extractInlineImages } from './inlineImages.js'
+import { formatBytes } from './attachments.js'
+import { CLIP_ESTIMATE_LIMIT_BYTES, CLIP_SAFETY_MARGIN_BYTES, GMAIL_CLIP_BYTES, measureMessageSize, utf8ByteLength } from './messageSize.js'
+
+// Image-heavy mail with little text is a classic spam signal; below this many
+// characters of copy per image the ratio is reported as a warning.
+const MIN_TEXT_CHARS_PER_IMAGE = 400
+
+// Phrases the common spam filters score against. Matched case-insensitively on
+// word boundaries in the subject and body text.
+const SPAM_PHRASES = [
+  '100% free', 'act now', 'apply now', 'as seen on', 'buy now', 'call now', 'cash bonus',
+  'click here', 'double your', 'earn money', 'extra income', 'free gift', 'free trial',
+  'guaranteed', 'limited time', 'make money', 'no catch', 'no cost', 'no obligation',
+  'once in a lifetime', 'order now', 'risk-free', 'special promotion', 'urgent',
+  'winner', 'you have been selected',
+]
+
+const ALL_CAPS_WORD_PATTERN = /\b[A-Z]{5,}\b/g
+const MIN_ALL_CAPS_WORDS = 3
+const TEMPLATE_TOKEN_PATTERN = /\{\{[^}]*\}\}/g
+const ALLOWED_LINK_PROTOCOLS = new Set(['https:', 'http:', 'mailto:', 'tel:'])
+const MAX_LISTED_RECIPIENTS = 3
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+
+const listSample = (items) => (
+  items.length > MAX_LISTED_RECIPIENTS
+    ? `${items.slice(0, MAX_LISTED_RECIPIENTS).join(', ')}, …`
+    : items.join(', ')
+)
+
+// Why an href can't be followed, or '' when it looks fine. Template tokens
+// are swapped for a placeholder first; unresolved ones are reported per
+// recipient instead.
+function describeBrokenHref(href) {
+  const value = href.trim()
+  if (!value || value === '#') return 'has no target'
+  if (/^javascript:/i.test(value)) return 'uses javascript:'
+  try {
+    const url = new URL(value.replace(TEMPLATE_TOKEN_PATTERN, 'x'))
+    if (!ALLOWED_LINK_PROTOCOLS.has(url.protocol)) return `uses ${url.protocol}`
+    if (/^https?:$/.test(url.protocol) && !url.hostname.includes('.')) return 'has no valid host'
+    return ''
+  } catch {
+    return 'is not a valid URL'
+  }
+}
+
+function lintMarkup(html, issues) {
+  const doc = new DOMParser().parseFromString(String(html || ''), 'text/html')
+
+  const images = Array.from(doc.querySelectorAll('img'))
+  const missingAlt = images.filter((image) => !image.hasAttribute('alt'))
+  if (missingAlt.length) {
+    issues.warnings.push({
+      rule: 'missing-alt',
+      message: `${pluralize(missingAlt.length, 'image')} ${missingAlt.length === 1 ? 'has' : 'have'} no alt text; clients that block images show nothing in their place.`,
+    })
+  }
+
+  for (const link of doc.querySelectorAll('a')) {
+    const href = link.getAttribute('href') ?? ''
+    const label = link.textContent.trim() || href || '(empty link)'
+    const problem = describeBrokenHref(href)
+    if (problem) {
+      issues.errors.push({ rule: 'broken-link', message: `Link "${label}" ${problem}.` })
+    } else if (/^http:/i.test(href.trim())) {
+      issues.warnings.push({ rule: 'insecure-link', message: `Link "${label}" uses http://; use https:// instead.` })
+    }
+  }
+
+  const text = doc.body.textContent.replace(/\s+/g, ' ').trim()
+  if (images.length) {
+    const charsPerImage = Math.round(text.length / images.length)
+    if (charsPerImage < MIN_TEXT_CHARS_PER_IMAGE) {
+      issues.warnings.push({
+        rule: 'image-text-ratio',
+        message: `Only ${charsPerImage} characters of text per image (${pluralize(images.length, 'image')}, ${text.length} characters); aim for at least ${MIN_TEXT_CHARS_PER_IMAGE}.`,
+      })
+    }
+  }
+
+  return { text, imageCount: images.length }
+}
+
+function lintWording(subject, text, issues) {
+  const subjectLetters = subject.replace(/[^A-Za-z]/g, '')
+  if (subjectLetters.length >= 4 && subjectLetters === subjectLetters.toUpperCase()) {
+    issues.warnings.push({ rule: 'all-caps', message: 'The subject is in all caps.' })
+  }
+  if (/!{2,}/.test(subject)) {
+    issues.warnings.push({ rule: 'punctuation', message: 'The subject has repeated exclamation marks.' })
+  }
+
+  const capsWords = [...new Set(text.match(ALL_CAPS_WORD_PATTERN) || [])]
+  if (capsWords.length >= MIN_ALL_CAPS_WORDS) {
+    issues.warnings.push({ rule: 'all-caps', message: `The body shouts in all caps: ${listSample(capsWords)}.` })
+  }
+
+  const haystack = `${subject}\n${text}`
+  const phrases = SPAM_PHRASES.filter((phrase) => (
+    new RegExp(`(^|\\W)${escapeRegExp(phrase)}(\\W|$)`, 'i').test(haystack)
+  ))
+  if (phrases.length) {
+    issues.warnings.push({ rule: 'spam-phrase', message: `Spam-filter trigger phrases: ${phrases.map((phrase) => `"${phrase}"`).join(', ')}.` })
+  }
+}
+
+/**
+ * Pre-flight checks run over the campaign before Send All or Auto-Send may
+ * start. The subject and DOCX HTML are checked for block syntax errors, and
+ * the HTML once for links, alt text, wording and its
+ * image-to-text ratio; the subject and body are then personalized for every
+ * queued recipient to find tokens that would be left unresolved, and to
+ * find every recipient whose HTML would be clipped by Gmail (see
+ * measureMessageSize()); the largest one's bytes are broken down.
+ *
+ * `errors` block sending; `warnings` are only reported. MessageHub supplies
+ * further variables per recipient at send time; for a recipient whose
+ * variables aren't known yet (`hasBackendVariables` is false), a token left
+ * unresolved is only a warning, since the send may still fill it.
+ * @param {{
+ *   subject: string,
+ *   html: string,
+ *   signatureHtml?: string,
+ *   recipients?: object[],
+ *   getTemplateVariables: (recipient: object) => object,
+ *   hasBackendVariables?: (recipient: object) => boolean,
+ * }} campaign
+ * @returns {{
+ *   errors: { rule: string, message: string }[],
+ *   warnings: { rule: string, message: string }[],
+ *   stats: { imageCount: number, textLength: number, maxHtmlBytes: number },
+ * }}
+ */
+export function lintCampaignContent({ subject, html, signatureHtml = '', recipients = [], getTemplateVariables, hasBackendVariables = () => true }) {
+  const issues = { errors: [], warnings: [] }
+  for (const message of findTemplateErrors(subject)) issues.errors.push({ rule: 'template-syntax', message: `Subject: ${message}` })
+  for (const message of findTemplateErrors(html)) issues.errors.push({ rule: 'template-syntax', message: `Body: ${message}` })
+
+  const { text, imageCount } = lintMarkup(html, issues)
+  lintWording(String(subject || ''), text, issues)
+
+  const { html: sentHtml } = extractInlineImages(html)
+  const { html: sentSignatureHtml } = extractInlineImages(signatureHtml)
+  const signatureBytes = utf8ByteLength(sentSignatureHtml)
+  const unresolvedByToken = new Map()
+  const clippedEmails = []
+  let maxHtmlBytes = 0
+  let largestHtml = ''
+
+  for (const recipient of recipients.length ? recipients : [{}]) {
+    const variables = getTemplateVariables(recipient)
+    const personalizedHtml = applyTemplate(sentHtml, variables, { html: true })
+    const confirmed = hasBackendVariables(recipient)
+    for (const token of findUnresolvedTokens(`${applyTemplate(String(subject || ''), variables)}\n${personalizedHtml}`)) {
+      if (!unresolvedByToken.has(token)) unresolvedByToken.set(token, { confirmed: [], unconfirmed: [] })
+      unresolvedByToken.get(token)[confirmed ? 'confirmed' : 'unconfirmed'].push(recipient.email || '(no recipient)')
+    }
+
+    const htmlBytes = utf8ByteLength(personalizedHtml) + signatureBytes
+    if (htmlBytes > CLIP_ESTIMATE_LIMIT_BYTES) clippedEmails.push(recipient.email || '(no recipient)')
+    if (htmlBytes > maxHtmlBytes) {
+      maxHtmlBytes = htmlBytes
+      largestHtml = personalizedHtml
+    }
+  }
+
+  for (const [token, { confirmed, unconfirmed }] of unresolvedByToken) {
+    if (confirmed.length) {
+      issues.errors.push({
+        rule: 'unresolved-token',
+        message: `{{${token}}} is unresolved for ${pluralize(confirmed.length, 'recipient')} (${listSample(confirmed)}) and would go out as "${token}".`,
+      })
+    }
+    if (unconfirmed.length) {
+      issues.warnings.push({
+        rule: 'unresolved-token',
+        message: `{{${token}}} isn't filled by the contact data for ${pluralize(unconfirmed.length, 'recipient')} (${listSample(unconfirmed)}). It goes out as "${token}" unless MessageHub provides it at send time.`,
+      })
+    }
+  }
+
+  if (clippedEmails.length) {
+    const largestBreakdown = measureMessageSize({ bodyHtml: largestHtml, signatureHtml: sentSignatureHtml }).breakdown
+      .filter((entry) => entry.inHtml && entry.bytes)
+      .map((entry) => `${entry.label.toLowerCase()} ${formatBytes(entry.bytes)}`)
+      .join(', ')
+    issues.errors.push({
+      rule: 'html-size',
+      message: `Gmail clips HTML over ${formatBytes(GMAIL_CLIP_BYTES)}, hiding the unsubscribe footer. The estimated HTML is over that, or within ${formatBytes(CLIP_SAFETY_MARGIN_BYTES)} of it once send-time links are added, for ${pluralize(clippedEmails.length, 'recipient')} (${listSample(clippedEmails)}). The largest is about ${formatBytes(maxHtmlBytes)}: ${largestBreakdown}.`,
+    })
+  }
+
+  return { ...issues, stats: { imageCount, textLength: text.length, maxHtmlBytes } }
+}
@@ -0,0 +1,65 @@
+// src/utils/inlineImages.js
+
+// Matches an <img> whose src is a base64 data URI, capturing everything needed
+// to rebuild the tag around a cid: reference.
+const DATA_URI_IMG_PATTERN = /<img\b([^>]*?)\ssrc=(["'])data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)\2([^>]*)>/gi
+const DATA_CID_ATTR_PATTERN = /\sdata-cid=(["'])([^"']+)\1/i
+
+const CONTENT_ID_DOMAIN = 'shakedefi.email'
+
+const extensionForContentType = (contentType) => {
+  const subtype = String(contentType).split('/')[1] || 'bin'
+  if (subtype === 'jpeg') return 'jpg'
+  if (subtype === 'svg+xml') return 'svg'
+  return subtype.replace(/[^\w]/g, '') || 'bin'
+}
+
+const base64ByteLength = (base64) => {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0
+  return Math.floor((base64.length * 3) / 4) - padding
+}
+
+/**
+ * Gmail and several Outlook builds strip or block data: URI images, so before
+ * sending, every <img src="data:..."> in the message is rewritten to a
+ * cid: reference and its bytes returned as an inline attachment
+ * ({ name, contentType, size, contentBytes, isInline, contentId }).
+ *
+ * An image can pin its content id with a data-cid="…" attribute (used by the
+ * signature logo); the attribute is removed from the outgoing HTML. Repeated
+ * copies of the same image share one attachment.
+ */
+export function extractInlineImages(html) {
+  const inlineAttachments = []
+  const contentIdsByData = new Map()
+
+  const rewrittenHtml = String(html || '').replace(
+    DATA_URI_IMG_PATTERN,
+    (match, before, quote, contentType, rawBase64, after) => {
+      const contentBytes = rawBase64.replace(/\s+/g, '')
+      let contentId = contentIdsByData.get(contentBytes)
+
+      const attributes = `${before}${after}`
+      if (!contentId) {
+        const pinnedId = DATA_CID_ATTR_PATTERN.exec(attributes)?.[2]
+        const baseName = pinnedId || `inline-image-${inlineAttachments.length + 1}`
+        contentId = `${baseName}@${CONTENT_ID_DOMAIN}`
+        contentIdsByData.set(contentBytes, contentId)
+        inlineAttachments.push({
+          name: `${baseName}.${extensionForContentType(contentType)}`,
+          contentType,
+          size: base64ByteLength(contentBytes),
+          contentBytes,
+          isInline: true,
+          contentId,
+        })
+      }
+
+      const cleanBefore = before.replace(DATA_CID_ATTR_PATTERN, '')
+      const cleanAfter = after.replace(DATA_CID_ATTR_PATTERN, '')
+      return `<img${cleanBefore} src=${quote}cid:${contentId}${quote}${cleanAfter}>`
+    }
+  )
+
+  return { html: rewrittenHtml, inlineAttachments }
+}
@@ -0,0 +1,125 @@
+// src/utils/linkTracking.js
+
+// Matches the href of every <a> tag, capturing what comes before it so the
+// rest of the tag is left as written.
+const ANCHOR_HREF_PATTERN = /(<a\b[^>]*?\shref=)(["'])(.*?)\2/gi
+
+// Unsubscribe links (the signed per-recipient URL and the fallback page) are
+// never rewritten: a redirect or extra parameters could break the signature
+// and the one-click flow.
+const UNSUBSCRIBE_PATH_PATTERN = /\/unsubscribe\b/i
+
+const decodeHref = (href) => href.replace(/&amp;/gi, '&')
+const encodeHref = (href) => href.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Splits a comma or whitespace separated list of domains; a leading "www."
+ * or "*." is dropped since subdomains are always excluded along with their
+ * parent.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseDomainList(text) {
+  return [...new Set(
+    String(text || '')
+      .split(/[\s,;]+/)
+      .map((domain) => domain.trim().toLowerCase().replace(/^(\*\.|www\.)/, ''))
+      .filter(Boolean)
+  )]
+}
+
+/**
+ * Whether a link may be tagged or wrapped: only absolute http(s) links that
+ * aren't unsubscribe links and whose host isn't one of `excludedDomains` (or
+ * a subdomain of one).
+ * @param {string} url
+ * @param {string[]} [excludedDomains]
+ */
+export function isTrackableUrl(url, excludedDomains = []) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return false
+  }
+  if (!/^https?:$/.test(parsed.protocol) || UNSUBSCRIBE_PATH_PATTERN.test(parsed.pathname)) return false
+
+  const host = parsed.hostname.toLowerCase()
+  return !excludedDomains.some((domain) => host === domain || host.endsWith(`.${domain}`))
+}
+
+/**
+ * The distinct trackable link targets in an HTML fragment, decoded.
+ * @param {string} html
+ * @param {string[]} [excludedDomains]
+ * @returns {string[]}
+ */
+export function collectTrackableUrls(html, excludedDomains = []) {
+  const urls = Array.from(String(html || '').matchAll(ANCHOR_HREF_PATTERN), (match) => decodeHref(match[3].trim()))
+  return [...new Set(urls.filter((url) => isTrackableUrl(url, excludedDomains)))]
+}
+
+/**
+ * Adds UTM parameters to a URL. Parameters the link already carries are kept,
+ * so a hand-tagged link in the DOCX wins; empty values are skipped.
+ * @param {string} url
+ * @param {Record<string, string>} utm e.g. { utm_source: 'email', utm_campaign: 'spring-launch' }
+ * @returns {string}
+ */
+export function addUtmParameters(url, utm) {
+  const parsed = new URL(url)
+  for (const [name, value] of Object.entries(utm)) {
+    if (value && !parsed.searchParams.has(name)) parsed.searchParams.set(name, value)
+  }
+  return parsed.toString()
+}
+
+/**
+ * Replaces link targets in an HTML fragment using `rewrites` (decoded
+ * original URL → new URL). Links not in the map are left untouched.
+ * @param {string} html
+ * @param {Map<string, string>} rewrites
+ * @returns {string}
+ */
+export function rewriteHtmlLinks(html, rewrites) {
+  if (!rewrites?.size) return html
+  return String(html || '').replace(ANCHOR_HREF_PATTERN, (match, before, quote, href) => {
+    const rewritten = rewrites.get(decodeHref(href.trim()))
+    return rewritten ? `${before}${quote}${encodeHref(rewritten)}${quote}` : match
+  })
+}
+
+/**
+ * Applies the same rewrites to the plain-text alternative, where links appear
+ * bare or as "label (url)". Longer URLs are matched first so one URL that
+ * prefixes another isn't rewritten inside it.
+ * @param {string} text
+ * @param {Map<string, string>} rewrites
+ * @returns {string}
+ */
+export function rewriteTextLinks(text, rewrites) {
+  if (!rewrites?.size) return text
+  const originals = [...rewrites.keys()].sort((a, b) => b.length - a.length)
+  const pattern = new RegExp(`(${originals.map(escapeRegExp).join('|')})(?=[\\s)]|$)`, 'g')
+  return String(text || '').replace(pattern, (url) => rewrites.get(url))
+}
+
+/**
+ * Turns a campaign name (or a subject line) into a utm_campaign value:
+ * lowercase words joined by hyphens, template tokens dropped.
+ * e.g. "Spring {{name}} Launch!" → "spring-launch"
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyCampaignName(name) {
+  return String(name || '')
+    .replace(/\{\{[^}]*\}\}/g, ' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+}
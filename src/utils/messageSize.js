@@ -0,0 +1,103 @@
+// src/utils/messageSize.js
+import { extractInlineImages } from './inlineImages.js'
+
+// Gmail hides everything past the first 102 KB of a message's HTML behind a
+// "[Message clipped]" link — including the unsubscribe footer.
+export const GMAIL_CLIP_BYTES = 102 * 1024
+
+// Before sending, sizes are estimates: the signed per-recipient unsubscribe
+// URL and the UTM / click-redirect link rewrites are only added at send
+// time and make the HTML a little larger. Estimates within this margin of
+// the limit are treated as clipped; the final HTML is checked again as it
+// goes out (see assertNotClipped()).
+export const CLIP_SAFETY_MARGIN_BYTES = 4 * 1024
+export const CLIP_ESTIMATE_LIMIT_BYTES = GMAIL_CLIP_BYTES - CLIP_SAFETY_MARGIN_BYTES
+
+const TAG_PATTERN = /<[^>]*>/g
+const STYLE_ATTRIBUTE_PATTERN = /\sstyle\s*=\s*(["'])[\s\S]*?\1/gi
+
+const utf8Encoder = new TextEncoder()
+
+export const utf8ByteLength = (text) => utf8Encoder.encode(String(text || '')).length
+
+const sumMatchBytes = (text, pattern) => (
+  (String(text || '').match(pattern) || []).reduce((sum, match) => sum + utf8ByteLength(match), 0)
+)
+
+// Parts are sent base64-encoded, in 76-character lines ending in CRLF.
+const base64WireBytes = (bytes) => {
+  const encoded = Math.ceil(bytes / 3) * 4
+  return encoded + Math.ceil(encoded / 76) * 2
+}
+
+/**
+ * Estimates a personalized message's size as sent. Data-URI images are moved
+ * to inline attachments first, as buildOutgoingMessage() does, so they don't
+ * count towards the HTML that Gmail measures for clipping.
+ *
+ * `breakdown` splits the bytes by where they come from; entries with
+ * `inHtml` make up `htmlBytes`, the rest only add to `messageBytes`, the
+ * approximate encoded size of the whole message. `clipped` compares
+ * `htmlBytes` with CLIP_ESTIMATE_LIMIT_BYTES.
+ * @param {{
+ *   bodyHtml: string,
+ *   signatureHtml?: string,
+ *   textBody?: string,
+ *   attachments?: { contentBytes: string, isInline?: boolean }[],
+ * }} message
+ * @returns {{
+ *   htmlBytes: number,
+ *   messageBytes: number,
+ *   clipped: boolean,
+ *   breakdown: { label: string, bytes: number, inHtml: boolean }[],
+ * }}
+ */
+export function measureMessageSize({ bodyHtml, signatureHtml = '', textBody = '', attachments = [] }) {
+  const body = extractInlineImages(bodyHtml)
+  const signature = extractInlineImages(signatureHtml)
+
+  const bodyBytes = utf8ByteLength(body.html)
+  const markupBytes = sumMatchBytes(body.html, TAG_PATTERN)
+  const styleBytes = sumMatchBytes(body.html, STYLE_ATTRIBUTE_PATTERN)
+  const signatureBytes = utf8ByteLength(signature.html)
+  const htmlBytes = bodyBytes + signatureBytes
+
+  const attachmentBytes = (list) => list.reduce((sum, attachment) => sum + String(attachment.contentBytes || '').length, 0)
+  const inlineImageBytes = attachmentBytes([
+    ...body.inlineAttachments,
+    ...signature.inlineAttachments,
+    ...attachments.filter((attachment) => attachment.isInline),
+  ])
+  const fileBytes = attachmentBytes(attachments.filter((attachment) => !attachment.isInline))
+  const textBytes = utf8ByteLength(textBody)
+
+  const breakdown = [
+    { label: 'Body text', bytes: bodyBytes - markupBytes, inHtml: true },
+    { label: 'Body markup', bytes: markupBytes - styleBytes, inHtml: true },
+    { label: 'Inline styles', bytes: styleBytes, inHtml: true },
+    { label: 'Signature and footer', bytes: signatureBytes, inHtml: true },
+    { label: 'Plain-text alternative', bytes: base64WireBytes(textBytes), inHtml: false },
+    { label: 'Inline images', bytes: inlineImageBytes, inHtml: false },
+    { label: 'Attachments', bytes: fileBytes, inHtml: false },
+  ]
+
+  return {
+    htmlBytes,
+    messageBytes: base64WireBytes(htmlBytes) + base64WireBytes(textBytes) + inlineImageBytes + fileBytes,
+    clipped: htmlBytes > CLIP_ESTIMATE_LIMIT_BYTES,
+    breakdown,
+  }
+}
+
+/**
+ * Throws when the final HTML of an outgoing message (inline images already
+ * moved to attachments) is over Gmail's clipping limit, so the recipient
+ * fails rather than getting a message with its unsubscribe footer hidden.
+ * @param {string} html
+ */
+export function assertNotClipped(html) {
+  const htmlBytes = utf8ByteLength(html)
+  if (htmlBytes > GMAIL_CLIP_BYTES) {
+    throw new Error(`The personalized HTML is ${(htmlBytes / 1024).toFixed(1)} KB, over Gmail's ${GMAIL_CLIP_BYTES / 1024} KB clipping limit; not sent.`)
+  }
+}
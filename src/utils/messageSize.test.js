@@ -0,0 +1,23 @@
+// src/utils/messageSize.test.js
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { assertNotClipped, CLIP_ESTIMATE_LIMIT_BYTES, GMAIL_CLIP_BYTES, measureMessageSize } from './messageSize.js'
+
+const htmlOfBytes = (bytes) => `<p>${'a'.repeat(bytes - 7)}</p>`
+
+test('treats an estimate within the safety margin of the clip limit as clipped', () => {
+  assert.equal(measureMessageSize({ bodyHtml: htmlOfBytes(CLIP_ESTIMATE_LIMIT_BYTES) }).clipped, false)
+  assert.equal(measureMessageSize({ bodyHtml: htmlOfBytes(CLIP_ESTIMATE_LIMIT_BYTES + 1) }).clipped, true)
+})
+
+test('does not count data-URI images towards the clipped HTML', () => {
+  const image = `<img src="data:image/png;base64,${'A'.repeat(GMAIL_CLIP_BYTES)}">`
+  const size = measureMessageSize({ bodyHtml: `<p>Hi</p>${image}` })
+  assert.equal(size.clipped, false)
+  assert.ok(size.messageBytes > GMAIL_CLIP_BYTES)
+})
+
+test('rejects final HTML only once it is over the clip limit itself', () => {
+  assert.doesNotThrow(() => assertNotClipped(htmlOfBytes(GMAIL_CLIP_BYTES)))
+  assert.throws(() => assertNotClipped(htmlOfBytes(GMAIL_CLIP_BYTES + 1)), /clipping limit; not sent/)
+})
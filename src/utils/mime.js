@@ -0,0 +1,181 @@
+// src/utils/mime.js
+import { arrayBufferToBase64 } from './attachments.js'
+
+const CRLF = '\r\n'
+
+// RFC 2045 caps encoded lines at 76 characters; RFC 2047 caps each encoded
+// word at 75, which leaves room for 45 UTF-8 bytes per word.
+const BASE64_LINE_LENGTH = 76
+const ENCODED_WORD_MAX_BYTES = 45
+
+const PRINTABLE_ASCII_PATTERN = /^[\x20-\x7e]*$/
+// Header values come from CSV cells and typed fields; a line break in one
+// would start a new header (e.g. an injected Bcc:), so they're folded away.
+const LINE_BREAK_PATTERN = /[\r\n]+/g
+// What may appear inside <…> in an address header.
+const ADDRESS_PATTERN = /^[^\s<>@]+@[^\s<>@]+$/
+
+const utf8Encoder = new TextEncoder()
+
+const utf8ToBase64 = (text) => arrayBufferToBase64(utf8Encoder.encode(String(text)))
+
+const wrapBase64 = (base64) => (base64.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')) || []).join(CRLF)
+
+const createBoundary = () => `----=_Part_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 12)}`
+
+const toHeaderText = (value) => String(value ?? '').replace(LINE_BREAK_PATTERN, ' ')
+
+/**
+ * Encodes a header value as RFC 2047 UTF-8 encoded words when it contains
+ * anything outside printable ASCII. Words are split on code point boundaries
+ * so a multi-byte character never straddles two of them. Line breaks become
+ * spaces.
+ */
+export function encodeHeaderValue(value) {
+  const text = toHeaderText(value)
+  if (PRINTABLE_ASCII_PATTERN.test(text)) return text
+
+  const words = []
+  let current = ''
+  for (const char of text) {
+    if (current && utf8Encoder.encode(current + char).length > ENCODED_WORD_MAX_BYTES) {
+      words.push(current)
+      current = ''
+    }
+    current += char
+  }
+  if (current) words.push(current)
+
+  return words.map((word) => `=?UTF-8?B?${utf8ToBase64(word)}?=`).join(`${CRLF} `)
+}
+
+/**
+ * Formats { email, name } as an address header entry, quoting or encoding the
+ * display name as needed. Throws for an address with whitespace (line breaks
+ * included) or angle brackets, which could break out of the header.
+ */
+export function formatAddress({ email, name } = {}) {
+  if (!ADDRESS_PATTERN.test(String(email ?? ''))) throw new Error(`Invalid email address: ${JSON.stringify(String(email ?? ''))}`)
+  const displayText = toHeaderText(name).trim()
+  if (!displayText || displayText === email) return `<${email}>`
+  const displayName = PRINTABLE_ASCII_PATTERN.test(displayText)
+    ? `"${displayText.replace(/(["\\])/g, '\\$1')}"`
+    : encodeHeaderValue(displayText)
+  return `${displayName} <${email}>`
+}
+
+const quoteParameter = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`
+
+// RFC 2231 attr-chars: everything else in the UTF-8 bytes is percent-encoded.
+const PARAMETER_ATTR_CHAR_PATTERN = /[A-Za-z0-9!#$&+\-.^_`|~]/
+
+const percentEncodeParameter = (value) => Array.from(utf8Encoder.encode(value), (byte) => {
+  const char = String.fromCharCode(byte)
+  return PARAMETER_ATTR_CHAR_PATTERN.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`
+}).join('')
+
+/**
+ * Formats a file name parameter (`name` or `filename`). RFC 2047 encoded
+ * words aren't allowed inside quoted parameter values, so a non-ASCII name
+ * gets an RFC 2231 `filename*=UTF-8''…` parameter, preceded by an ASCII
+ * approximation for clients that only read the plain one.
+ */
+export function formatFileNameParameter(parameter, value) {
+  const text = String(value ?? '')
+  if (PRINTABLE_ASCII_PATTERN.test(text)) return `${parameter}=${quoteParameter(text)}`
+
+  const asciiFallback = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '_')
+  return `${parameter}=${quoteParameter(asciiFallback)};${CRLF} ${parameter}*=UTF-8''${percentEncodeParameter(text)}`
+}
+
+const serializePart = ({ headers, body }) => (
+  `${headers.map(([name, value]) => `${name}: ${value}`).join(CRLF)}${CRLF}${CRLF}${body}`
+)
+
+const multipart = (subtype, parts) => {
+  const boundary = createBoundary()
+  return {
+    headers: [['Content-Type', `multipart/${subtype}; boundary="${boundary}"`]],
+    body: `${parts.map((part) => `--${boundary}${CRLF}${serializePart(part)}`).join(CRLF)}${CRLF}--${boundary}--`,
+  }
+}
+
+const textPart = (subtype, content) => ({
+  headers: [
+    ['Content-Type', `text/${subtype}; charset=UTF-8`],
+    ['Content-Transfer-Encoding', 'base64'],
+  ],
+  body: wrapBase64(utf8ToBase64(content)),
+})
+
+// Attachments use the { name, contentType, contentBytes, isInline, contentId }
+// shape shared with the Graph and sender-account paths; contentBytes is
+// already base64.
+const attachmentPart = (attachment) => ({
+  headers: [
+    ['Content-Type', `${attachment.contentType || 'application/octet-stream'}; ${formatFileNameParameter('name', attachment.name)}`],
+    ['Content-Disposition', `${attachment.isInline ? 'inline' : 'attachment'}; ${formatFileNameParameter('filename', attachment.name)}`],
+    ...(attachment.isInline && attachment.contentId ? [['Content-ID', `<${attachment.contentId}>`]] : []),
+    ['Content-Transfer-Encoding', 'base64'],
+  ],
+  body: wrapBase64(String(attachment.contentBytes || '').replace(/\s+/g, '')),
+})
+
+/**
+ * Assembles an RFC 5322 message. Inline attachments are grouped with the HTML
+ * body in multipart/related so their cid: references resolve; a plain-text
+ * version goes alongside that in multipart/alternative, and regular files
+ * wrap the lot in multipart/mixed. Each intermediate container is only
+ * emitted when it has something to hold.
+ *
+ * From, Date and Message-ID are left to the sending server, which stamps them
+ * for the authenticated mailbox. The Bcc header is read by the submitting
+ * server for delivery and stripped before the message goes out.
+ * @param {{
+ *   to: { email: string, name?: string }[],
+ *   cc?: { email: string, name?: string }[],
+ *   bcc?: { email: string, name?: string }[],
+ *   replyTo?: { email: string, name?: string }[],
+ *   subject: string,
+ *   html: string,
+ *   text?: string,
+ *   headers?: { name: string, value: string }[],
+ *   attachments?: object[],
+ * }} message
+ * @returns {string}
+ */
+export function buildMimeMessage({ to = [], cc = [], bcc = [], replyTo = [], subject, html, text, headers = [], attachments = [] }) {
+  const inlineAttachments = attachments.filter((attachment) => attachment.isInline)
+  const fileAttachments = attachments.filter((attachment) => !attachment.isInline)
+
+  let body = textPart('html', html || '')
+  if (inlineAttachments.length) {
+    body = multipart('related', [body, ...inlineAttachments.map(attachmentPart)])
+  }
+  // Clients show the last alternative they can render, so plain text leads.
+  if (text) {
+    body = multipart('alternative', [textPart('plain', text), body])
+  }
+  if (fileAttachments.length) {
+    body = multipart('mixed', [body, ...fileAttachments.map(attachmentPart)])
+  }
+
+  const messageHeaders = [
+    ['MIME-Version', '1.0'],
+    ['To', to.map(formatAddress).join(', ')],
+    ...(cc.length ? [['Cc', cc.map(formatAddress).join(', ')]] : []),
+    ...(bcc.length ? [['Bcc', bcc.map(formatAddress).join(', ')]] : []),
+    ...(replyTo.length ? [['Reply-To', replyTo.map(formatAddress).join(', ')]] : []),
+    ['Subject', encodeHeaderValue(subject)],
+    ...headers.map(({ name, value }) => [name, encodeHeaderValue(value)]),
+    ...body.headers,
+  ]
+
+  return serializePart({ headers: messageHeaders, body: body.body })
+}
+
+/**
+ * Base64-encodes a MIME message for Graph, which takes MIME content as a
+ * base64 text/plain request body.
+ */
+export const mimeToBase64 = (mime) => utf8ToBase64(mime)
@@ -0,0 +1,149 @@
+// src/utils/mime.test.js
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildMimeMessage, encodeHeaderValue, formatAddress, formatFileNameParameter } from './mime.js'
+
+const CRLF = '\r\n'
+
+const decodeBase64 = (base64) => new TextDecoder().decode(Uint8Array.from(atob(base64.replace(/\s+/g, '')), (char) => char.charCodeAt(0)))
+
+// Decodes RFC 2047 B-encoded words, joining adjacent ones as a reader would.
+const decodeEncodedWords = (value) => value
+  .replace(/\?=\s+=\?/g, '?==?')
+  .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (match, base64) => decodeBase64(base64))
+
+// Splits an entity into unfolded headers (lowercase names) and its body.
+function parseEntity(entity) {
+  const separator = entity.indexOf(`${CRLF}${CRLF}`)
+  const headers = {}
+  for (const line of entity.slice(0, separator).replace(/\r\n[ \t]/g, ' ').split(CRLF)) {
+    const colon = line.indexOf(':')
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim()
+  }
+  return { headers, body: entity.slice(separator + 4) }
+}
+
+// The parts of a multipart entity, parsed; asserts the closing boundary.
+function parseMultipart({ headers, body }) {
+  const boundary = headers['content-type'].match(/boundary="([^"]+)"/)[1]
+  assert.ok(body.endsWith(`${CRLF}--${boundary}--`), 'multipart body ends with its closing boundary')
+  return body
+    .slice(0, -`${CRLF}--${boundary}--`.length)
+    .split(new RegExp(`(?:^|${CRLF})--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}${CRLF}`))
+    .filter(Boolean)
+    .map(parseEntity)
+}
+
+const mediaType = (entity) => entity.headers['content-type'].split(';')[0]
+
+test('encodes a non-ASCII subject as UTF-8 encoded words of at most 75 characters', () => {
+  const subject = 'Señor Müller, ¿qué tal? Ofertas de vehículos 🚗 para tu concesionario esta semana'
+  const mime = buildMimeMessage({ to: [{ email: 'a@example.com' }], subject, html: '<p>Hi</p>' })
+  const { headers } = parseEntity(mime)
+
+  assert.equal(decodeEncodedWords(headers.subject), subject)
+  for (const word of headers.subject.split(' ')) assert.ok(word.length <= 75, `${word} is too long`)
+  assert.ok(mime.split(CRLF).every((line) => line.length <= 998))
+})
+
+test('leaves an ASCII header value as written', () => {
+  assert.equal(encodeHeaderValue('Spring offers'), 'Spring offers')
+})
+
+test('encodes a non-ASCII display name and quotes an ASCII one', () => {
+  const mime = buildMimeMessage({
+    to: [{ email: 'jose@example.com', name: 'José Núñez' }],
+    cc: [{ email: 'ann@example.com', name: 'Smith, "Ann"' }],
+    subject: 'Hi',
+    html: '<p>Hi</p>',
+  })
+  const { headers } = parseEntity(mime)
+
+  assert.match(headers.to, /^=\?UTF-8\?B\?.+\?= <jose@example\.com>$/)
+  assert.equal(decodeEncodedWords(headers.to), 'José Núñez <jose@example.com>')
+  assert.equal(headers.cc, '"Smith, \\"Ann\\"" <ann@example.com>')
+})
+
+test('folds line breaks in names and the subject so they cannot start new headers', () => {
+  const mime = buildMimeMessage({
+    to: [{ email: 'a@example.com', name: 'Smith Autos\r\nBcc: attacker@example.com' }],
+    replyTo: [{ email: 'sales@example.com', name: 'Sales\nTeam' }],
+    subject: 'Offers\r\nBcc: attacker@example.com',
+    html: '<p>Hi</p>',
+  })
+  const headerLines = mime.slice(0, mime.indexOf(`${CRLF}${CRLF}`)).split(CRLF)
+
+  assert.ok(headerLines.every((line) => !/^bcc:/i.test(line)), 'no injected Bcc header')
+  const { headers } = parseEntity(mime)
+  assert.equal(headers.to, '"Smith Autos Bcc: attacker@example.com" <a@example.com>')
+  assert.equal(headers['reply-to'], '"Sales Team" <sales@example.com>')
+  assert.equal(headers.subject, 'Offers Bcc: attacker@example.com')
+})
+
+test('rejects addresses with line breaks, spaces or angle brackets', () => {
+  assert.throws(() => formatAddress({ email: 'a@example.com\r\nBcc: attacker@example.com' }), /Invalid email address/)
+  assert.throws(() => formatAddress({ email: 'a@example.com>, <b@example.com' }), /Invalid email address/)
+  assert.throws(() => buildMimeMessage({ to: [], cc: [{ email: 'x@example.com\nBcc: y@example.com' }], subject: 'Hi', html: '' }), /Invalid email address/)
+  assert.equal(formatAddress({ email: 'a@example.com' }), '<a@example.com>')
+})
+
+test('nests text, HTML, inline images and files as mixed > alternative > related', () => {
+  const mime = buildMimeMessage({
+    to: [{ email: 'a@example.com' }],
+    subject: 'Hi',
+    html: '<p>Hello <img src="cid:logo@shake"></p>',
+    text: 'Hello',
+    attachments: [
+      { name: 'logo.png', contentType: 'image/png', contentBytes: 'iVBORw0KGgo=', isInline: true, contentId: 'logo@shake' },
+      { name: 'prices.pdf', contentType: 'application/pdf', contentBytes: 'JVBERi0xLjQ=' },
+    ],
+  })
+  const message = parseEntity(mime)
+  assert.equal(message.headers['mime-version'], '1.0')
+  assert.equal(mediaType(message), 'multipart/mixed')
+
+  const [alternative, file] = parseMultipart(message)
+  assert.equal(mediaType(alternative), 'multipart/alternative')
+  assert.equal(mediaType(file), 'application/pdf')
+
+  const [plain, related] = parseMultipart(alternative)
+  assert.equal(mediaType(plain), 'text/plain')
+  assert.equal(decodeBase64(plain.body), 'Hello')
+  assert.equal(mediaType(related), 'multipart/related')
+
+  const [html, inline] = parseMultipart(related)
+  assert.equal(mediaType(html), 'text/html')
+  assert.equal(decodeBase64(html.body), '<p>Hello <img src="cid:logo@shake"></p>')
+  assert.equal(mediaType(inline), 'image/png')
+  assert.equal(inline.headers['content-id'], '<logo@shake>')
+  assert.match(inline.headers['content-disposition'], /^inline; filename="logo\.png"$/)
+  assert.equal(inline.headers['content-transfer-encoding'], 'base64')
+  assert.equal(inline.body, 'iVBORw0KGgo=')
+})
+
+test('sends only the HTML part when there is no text or attachment', () => {
+  const message = parseEntity(buildMimeMessage({ to: [{ email: 'a@example.com' }], subject: 'Hi', html: '<p>Hi</p>' }))
+  assert.equal(message.headers['content-type'], 'text/html; charset=UTF-8')
+  assert.equal(decodeBase64(message.body), '<p>Hi</p>')
+})
+
+test('names a non-ASCII attachment with RFC 2231 parameters, never encoded words', () => {
+  const mime = buildMimeMessage({
+    to: [{ email: 'a@example.com' }],
+    subject: 'Hi',
+    html: '<p>Hi</p>',
+    attachments: [{ name: 'Precios año 2025 – José.pdf', contentType: 'application/pdf', contentBytes: 'JVBERi0xLjQ=' }],
+  })
+  const [, file] = parseMultipart(parseEntity(mime))
+  const disposition = file.headers['content-disposition']
+
+  assert.ok(!disposition.includes('=?'), 'no RFC 2047 encoded words in parameters')
+  assert.match(disposition, /^attachment; filename="Precios ano 2025 _ Jose\.pdf"; filename\*=UTF-8''(\S+)$/)
+  assert.equal(decodeURIComponent(disposition.match(/filename\*=UTF-8''(\S+)$/)[1]), 'Precios año 2025 – José.pdf')
+  assert.match(file.headers['content-type'], /^application\/pdf; name="Precios ano 2025 _ Jose\.pdf"; name\*=UTF-8''\S+$/)
+  assert.equal(file.body, 'JVBERi0xLjQ=')
+})
+
+test('quotes an ASCII file name, escaping quotes and backslashes', () => {
+  assert.equal(formatFileNameParameter('filename', 'a "b"\\c.txt'), 'filename="a \\"b\\"\\\\c.txt"')
+})
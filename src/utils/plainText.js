@@ -0,0 +1,122 @@
+// src/utils/plainText.js
+
+// RFC 5322 recommends keeping lines at 78 characters or fewer; 76 leaves room
+// for clients that quote replies with "> ".
+const PLAIN_TEXT_LINE_LENGTH = 76
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DIV', 'DL', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'HEADER', 'HR', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL',
+])
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TITLE'])
+
+// Links to these can't be followed from a plain-text client, so only their
+// text is kept.
+const UNLINKABLE_HREF_PATTERN = /^(#|cid:|data:|javascript:)/i
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ')
+
+// Renders a link as "label (url)", or just the url (or address, for mailto:)
+// when the label already says the same thing.
+const formatLink = (label, href) => {
+  const target = href.replace(/^mailto:/i, '')
+  const text = label.trim()
+  if (!text || text === target || text === href) return target
+  return `${text} (${target})`
+}
+
+function appendNode(node, out) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    out.push(collapseWhitespace(node.nodeValue))
+    return
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) return
+
+  const appendChildren = (target) => node.childNodes.forEach((child) => appendNode(child, target))
+
+  switch (node.tagName) {
+    case 'BR':
+      out.push('\n')
+      return
+    case 'IMG':
+      if (node.getAttribute('alt')) out.push(node.getAttribute('alt'))
+      return
+    case 'A': {
+      const label = []
+      appendChildren(label)
+      const href = (node.getAttribute('href') || '').trim()
+      out.push(href && !UNLINKABLE_HREF_PATTERN.test(href) ? formatLink(label.join(''), href) : label.join(''))
+      return
+    }
+    case 'LI':
+      out.push('\n- ')
+      appendChildren(out)
+      return
+    case 'TD':
+    case 'TH':
+      appendChildren(out)
+      out.push(' ')
+      return
+    default:
+      if (!BLOCK_TAGS.has(node.tagName)) {
+        appendChildren(out)
+        return
+      }
+      out.push('\n\n')
+      appendChildren(out)
+      out.push('\n\n')
+  }
+}
+
+/**
+ * Converts an HTML fragment to readable plain text: blocks become paragraphs
+ * separated by a blank line, list items become "- " lines and links are
+ * expanded inline as "label (url)". Lines are left unwrapped so template
+ * tokens can still be substituted; see wrapPlainText().
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToPlainText(html) {
+  const doc = new DOMParser().parseFromString(String(html || ''), 'text/html')
+  const out = []
+  appendNode(doc.body, out)
+
+  return out.join('')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Word-wraps plain text to `width` columns. Continuation lines of a "- " list
+ * item are indented to line up with its text, and words longer than a line
+ * (usually URLs) are kept whole on a line of their own.
+ * @param {string} text
+ * @param {number} [width]
+ * @returns {string}
+ */
+export function wrapPlainText(text, width = PLAIN_TEXT_LINE_LENGTH) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => {
+      if (line.length <= width) return line
+
+      const indent = line.startsWith('- ') ? '  ' : ''
+      const lines = []
+      let current = ''
+      for (const word of line.split(' ').filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word
+        if (current && candidate.length > width) {
+          lines.push(current)
+          current = `${indent}${word}`
+        } else {
+          current = candidate
+        }
+      }
+      if (current) lines.push(current)
+      return lines.join('\n')
+    })
+    .join('\n')
+}
@@ -0,0 +1,65 @@
+// src/utils/runStore.js
+
+// One in-progress send run per signed-in user, kept in IndexedDB so closing
+// or reloading the tab mid-run doesn't lose which recipients were handled.
+const DB_NAME = 'marketing-mailer'
+const DB_VERSION = 1
+const STORE_NAME = 'sendRuns'
+
+// Send Log statuses that settle a recipient; anyone else (failed, or not
+// reached yet) goes back in the queue on resume.
+const SETTLED_STATUSES = new Set(['sent', 'checked-only', 'skipped-contacted', 'skipped-not-emailable'])
+
+let dbPromise = null
+
+const openDatabase = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }).catch((error) => {
+    dbPromise = null
+    throw error
+  })
+  return dbPromise
+}
+
+// Resolves with the request's result once its transaction has committed.
+async function runTransaction(mode, operation) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Saves the snapshot of a run, replacing the previous one for `ownerId`.
+ * Writes commit in the order they are made, so the latest snapshot wins.
+ * @param {string} ownerId signed-in account username
+ * @param {{ csvData: object, results: object[], subject?: string, savedAt: string }} run
+ */
+export const saveSendRun = (ownerId, run) => runTransaction('readwrite', (store) => store.put(run, ownerId))
+
+export const loadSendRun = async (ownerId) => (await runTransaction('readonly', (store) => store.get(ownerId))) ?? null
+
+export const clearSendRun = (ownerId) => runTransaction('readwrite', (store) => store.delete(ownerId))
+
+/**
+ * The run's queue minus every recipient the Send Log already settled, in
+ * the original order.
+ * @param {{ csvData: { recipients: object[] }, results: { email: string, status: string }[] }} run
+ * @returns {object[]}
+ */
+export function getPendingRunRecipients(run) {
+  const settledEmails = new Set(
+    run.results
+      .filter((result) => SETTLED_STATUSES.has(result.status))
+      .map((result) => String(result.email || '').trim().toLowerCase())
+  )
+  return run.csvData.recipients.filter((recipient) => !settledEmails.has(recipient.email.trim().toLowerCase()))
+}
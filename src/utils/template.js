@@ -31,11 +31,62 @@ const CONTACT_TEMPLATE_FIELD_MAP = [
   ['industry', 'auto dealers'],
 ]
 
+/**
+ * How contact fields become template variables. A campaign can store its own
+ * mapping on the backend (see fetchTemplateFieldMapping in graphApi.js);
+ * this built-in auto-dealer mapping is used when it hasn't.
+ *
+ *   fields    contact field → template key, e.g. custom_field_1 → vehicle
+ *   aliases   alternative token name → template key
+ *   defaults  template key → value used when nothing else provides one
+ */
+export const DEFAULT_TEMPLATE_FIELD_MAPPING = {
+  fields: CONTACT_TEMPLATE_FIELD_MAP.map(([contactField, templateKey]) => ({ contactField, templateKey })),
+  aliases: TEMPLATE_KEY_ALIASES,
+  defaults: TEMPLATE_DEFAULTS,
+}
+
+const normalizeMappingKey = (key) => String(key || '').trim().toLowerCase()
+
+/**
+ * Fills in the sections a stored mapping leaves out from the built-in one and
+ * lowercases its keys, dropping incomplete entries.
+ * @param {object} [mapping]
+ * @returns {{ fields: { contactField: string, templateKey: string }[], aliases: Record<string, string>, defaults: Record<string, string> }}
+ */
+export function normalizeTemplateFieldMapping(mapping) {
+  const source = mapping || DEFAULT_TEMPLATE_FIELD_MAPPING
+  const normalizeEntries = (entries, normalizeValue) => Object.fromEntries(
+    Object.entries(entries)
+      .map(([key, value]) => [normalizeMappingKey(key), normalizeValue(value)])
+      .filter(([key, value]) => key && value)
+  )
+  return {
+    fields: (source.fields ?? DEFAULT_TEMPLATE_FIELD_MAPPING.fields)
+      .map(({ contactField, templateKey }) => ({ contactField: normalizeMappingKey(contactField), templateKey: normalizeMappingKey(templateKey) }))
+      .filter(({ contactField, templateKey }) => contactField && templateKey),
+    aliases: normalizeEntries(source.aliases ?? TEMPLATE_KEY_ALIASES, normalizeMappingKey),
+    defaults: normalizeEntries(source.defaults ?? TEMPLATE_DEFAULTS, (value) => String(value ?? '').trim()),
+  }
+}
+
+// Keys whose values are fallbacks (TEMPLATE_DEFAULTS, the default greeting
+// name) rather than contact data. Set on a recipient passed to
+// buildTemplateVariables() and carried on the variables it returns, so a
+// token's own `| default:` can take precedence over them.
+export const TEMPLATE_FALLBACK_KEYS = Symbol('templateFallbackKeys')
+// Campaign language on a variables object, for the `date` filter.
+const TEMPLATE_LANGUAGE = Symbol('templateLanguage')
+// The aliases of the mapping a variables object was built with.
+const TEMPLATE_ALIASES = Symbol('templateAliases')
+// Where each key's value came from (key → description), for the preview.
+const TEMPLATE_SOURCES = Symbol('templateSources')
+
 const hasValue = (value) => (
   value !== undefined && value !== null && String(value).trim() !== ''
 )
 
-const normalizeVariableObject = (source = {}) => {
+const normalizeVariableObject = (source = {}, aliases = TEMPLATE_KEY_ALIASES) => {
   if (!source || typeof source !== 'object') return {}
 
   const normalized = {}
@@ -44,13 +95,24 @@ const normalizeVariableObject = (source = {}) => {
 
     normalized[key] = value
     const normalizedKey = key.trim().toLowerCase()
-    const resolvedKey = TEMPLATE_KEY_ALIASES[normalizedKey]
+    const resolvedKey = aliases[normalizedKey]
     if (resolvedKey) normalized[resolvedKey] = value
   }
 
   return normalized
 }
 
+// Records `description` as the source of every key with a value in
+// `variables`, under its lowercase form and any key it is an alias of.
+const recordSources = (sources, variables, describe, aliases) => {
+  for (const key of Object.keys(variables || {})) {
+    if (!hasValue(variables[key])) continue
+    const normalizedKey = key.trim().toLowerCase()
+    sources.set(normalizedKey, describe(key))
+    if (aliases[normalizedKey]) sources.set(aliases[normalizedKey], describe(key))
+  }
+}
+
 /**
  * Truncates a sell-description value at its last disjunction connector,
  * removing the connector and everything after it.
@@ -91,45 +153,433 @@ export function truncateSellDescription(value, language) {
   return text
 }
 
-export function buildTemplateVariables(recipient = {}, backendTemplateVariables = {}, language = null) {
+/**
+ * Merges a recipient's fields, the backend's template variables for them and
+ * the mapping's defaults into the variables applyTemplate() substitutes.
+ * Contact fields named in `mapping.fields` also fill their template key.
+ * @param {object} [recipient]
+ * @param {object} [backendTemplateVariables]
+ * @param {string|null} [language]
+ * @param {object} [mapping] see DEFAULT_TEMPLATE_FIELD_MAPPING
+ * @returns {object}
+ */
+export function buildTemplateVariables(recipient = {}, backendTemplateVariables = {}, language = null, mapping = DEFAULT_TEMPLATE_FIELD_MAPPING) {
+  const { fields, aliases, defaults } = normalizeTemplateFieldMapping(mapping)
   const contactTemplateVariables = {}
-  const normalizedRecipient = normalizeVariableObject(recipient)
+  const normalizedRecipient = normalizeVariableObject(recipient, aliases)
+  const backendVariables = normalizeVariableObject(backendTemplateVariables, aliases)
+  const recipientFallbackKeys = new Set((recipient?.[TEMPLATE_FALLBACK_KEYS] || []).map((key) => key.toLowerCase()))
 
-  for (const [contactKey, templateKey] of CONTACT_TEMPLATE_FIELD_MAP) {
-    const value = normalizedRecipient[contactKey]
-    if (hasValue(value)) contactTemplateVariables[templateKey] = value
+  const sources = new Map()
+  recordSources(sources, defaults, () => 'template default', aliases)
+  recordSources(sources, backendTemplateVariables, (key) => `MessageHub variable "${key}"`, aliases)
+  recordSources(sources, recipient, (key) => (
+    recipientFallbackKeys.has(key.toLowerCase()) ? 'default greeting name' : `contact field "${key}"`
+  ), aliases)
+
+  for (const { contactField, templateKey } of fields) {
+    const value = normalizedRecipient[contactField]
+    if (!hasValue(value)) continue
+    contactTemplateVariables[templateKey] = value
+    sources.set(templateKey, recipientFallbackKeys.has(contactField) ? 'default greeting name' : `contact field "${contactField}"`)
   }
 
-  const merged = {
-    ...TEMPLATE_DEFAULTS,
-    ...normalizeVariableObject(backendTemplateVariables),
+  const provided = {
+    ...backendVariables,
     ...normalizedRecipient,
     ...contactTemplateVariables,
   }
+  const merged = { ...defaults, ...provided }
 
   if (language && hasValue(merged[SELL_DESCRIPTION_KEY])) {
     merged[SELL_DESCRIPTION_KEY] = truncateSellDescription(merged[SELL_DESCRIPTION_KEY], language)
   }
 
+  merged[TEMPLATE_FALLBACK_KEYS] = new Set([
+    ...Object.keys(defaults).filter((key) => !(key in provided)),
+    ...recipientFallbackKeys,
+    ...fields
+      .filter(({ contactField }) => recipientFallbackKeys.has(contactField))
+      .map(({ templateKey }) => templateKey),
+  ])
+  merged[TEMPLATE_LANGUAGE] = language
+  merged[TEMPLATE_ALIASES] = aliases
+  merged[TEMPLATE_SOURCES] = sources
+
   return merged
 }
 
-export function applyTemplate(template, variables = {}) {
-  return template.replace(/\{\{(\s*[\w.,\- ]+\s*)\}\}/g, (match, key) => {
-    const normalizedKey = key.trim().toLowerCase()
-    const resolvedKey = TEMPLATE_KEY_ALIASES[normalizedKey] ?? normalizedKey
-    if (variables[resolvedKey] === undefined) return match
-    const value = variables[resolvedKey]
-    // If the token's first letter was uppercase, capitalise the value to match.
-    // e.g. {{Vehicle}} → "Vehicle", {{vehicle}} → "vehicle", both from the same stored value.
-    const firstLetter = key.trim()[0]
-    if (firstLetter && firstLetter === firstLetter.toUpperCase() && firstLetter !== firstLetter.toLowerCase()) {
-      return String(value).charAt(0).toUpperCase() + String(value).slice(1)
+// {{{key}}} is the raw form: the value goes in as-is, even into HTML.
+// Matched first so its inner {{key}} isn't substituted on its own. Either
+// form may end in filters: {{key | default: "there" | upper}}.
+const TEMPLATE_TOKEN_PATTERN = /\{\{\{(\s*[\w.,\- ]+(?:\|[^}]*)?)\}\}\}|\{\{(\s*[\w.,\- ]+(?:\|[^}]*)?)\}\}/g
+
+// Splits HTML into tags (odd indexes) and the text between them.
+const HTML_TAG_SPLIT_PATTERN = /(<[^>]*>)/
+
+// Matches the start of an href/src value up to the end of a tag fragment,
+// capturing what precedes the token inside the value.
+const URL_ATTRIBUTE_PREFIX_PATTERN = /\s(?:href|src)\s*=\s*["']?([^"'\s>]*)$/i
+const UNSAFE_URL_PATTERN = /^\s*(?:javascript|vbscript|data):/i
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+
+// The variable key a token name refers to, after the mapping's aliases.
+const resolveTemplateKey = (key, variables) => {
+  const normalizedKey = key.trim().toLowerCase()
+  return (variables[TEMPLATE_ALIASES] ?? TEMPLATE_KEY_ALIASES)[normalizedKey] ?? normalizedKey
+}
+
+const lookupTemplateVariable = (key, variables) => variables[resolveTemplateKey(key, variables)]
+
+const resolveTemplateValue = (key, variables) => {
+  const rawValue = lookupTemplateVariable(key, variables)
+  if (rawValue === undefined) return undefined
+  const value = String(rawValue)
+  // If the token's first letter was uppercase, capitalise the value to match.
+  // e.g. {{Vehicle}} → "Vehicle", {{vehicle}} → "vehicle", both from the same stored value.
+  const firstLetter = key.trim()[0]
+  if (firstLetter && firstLetter === firstLetter.toUpperCase() && firstLetter !== firstLetter.toLowerCase()) {
+    return value.charAt(0).toUpperCase() + value.slice(1)
+  }
+  return value
+}
+
+// ─── Filters ─────────────────────────────────────────────────────────────────
+
+// One "| name" or "| name: argument" step; the argument may be quoted.
+const FILTER_PATTERN = /\|\s*(\w+)\s*(?::\s*(?:"([^"]*)"|'([^']*)'|([^|]*?)))?\s*(?=\||$)/g
+
+// Word turns typed quotes into curly ones, and mammoth escapes < > & in
+// text, so both are undone before filters or block expressions are read.
+const TEXT_ENTITIES = { '&quot;': '"', '&#39;': "'", '&amp;': '&', '&lt;': '<', '&gt;': '>' }
+const decodeTemplateText = (text) => (
+  text
+    .replace(/&(?:quot|#39|amp|lt|gt);/g, (entity) => TEXT_ENTITIES[entity])
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .trim()
+)
+
+const DATE_FORMAT_PATTERN = /yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|'[^']*'/g
+const DATE_PART_OPTIONS = {
+  yyyy: { year: 'numeric' },
+  yy: { year: '2-digit' },
+  MMMM: { month: 'long' },
+  MMM: { month: 'short' },
+  MM: { month: '2-digit' },
+  M: { month: 'numeric' },
+  dd: { day: '2-digit' },
+  d: { day: 'numeric' },
+  EEEE: { weekday: 'long' },
+  EEE: { weekday: 'short' },
+}
+
+// Formats a date value with a pattern like "MMM d, yyyy"; text in single
+// quotes is kept literally ("d 'de' MMMM"). Bare ISO dates are read as UTC
+// days so they don't shift with the sender's time zone. Values that aren't
+// dates are returned unchanged.
+function formatDateValue(value, pattern, language) {
+  const isoDay = /^\d{4}-\d{2}-\d{2}$/.test(value.trim())
+  const date = new Date(isoDay ? `${value.trim()}T00:00:00Z` : value)
+  if (Number.isNaN(date.getTime())) return value
+
+  const locale = String(language || 'en').toLowerCase()
+  return pattern.replace(DATE_FORMAT_PATTERN, (part) => {
+    if (part.startsWith("'")) return part.slice(1, -1)
+    return new Intl.DateTimeFormat(locale, { ...DATE_PART_OPTIONS[part], ...(isoDay ? { timeZone: 'UTC' } : {}) }).format(date)
+  })
+}
+
+const truncateText = (value, length) => (
+  value.length <= length ? value : `${value.slice(0, Math.max(length - 1, 0)).trimEnd()}…`
+)
+
+// Each filter takes the current value (undefined while unresolved) and
+// returns the next one. Only `default` does anything with a missing value.
+const TEMPLATE_FILTERS = {
+  default: (value, argument, isFallback) => (!hasValue(value) || isFallback ? argument : value),
+  upper: (value) => value?.toUpperCase(),
+  lower: (value) => value?.toLowerCase(),
+  title: (value) => value?.toLowerCase().replace(/(^|[\s\-/'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()),
+  truncate: (value, argument) => (value === undefined ? value : truncateText(value, Number(argument))),
+  date: (value, argument, isFallback, language) => (value === undefined ? value : formatDateValue(value, argument, language)),
+  possessive: (value) => (value === undefined ? value : `${value.trimEnd()}${/s$/i.test(value.trimEnd()) ? "'" : "'s"}`),
+}
+
+const FILTERS_REQUIRING_ARGUMENT = new Set(['default', 'truncate', 'date'])
+
+/**
+ * Splits a token's inner text into its key and filters, with an error
+ * message for unknown filters or missing arguments.
+ * @returns {{ key: string, filters: { name: string, argument?: string }[], error: string }}
+ */
+function parseTemplateToken(inner) {
+  const pipeIndex = inner.indexOf('|')
+  if (pipeIndex === -1) return { key: inner, filters: [], error: '' }
+
+  const key = inner.slice(0, pipeIndex)
+  const source = decodeTemplateText(inner.slice(pipeIndex))
+  const filters = []
+  let consumed = 0
+  for (const match of source.matchAll(FILTER_PATTERN)) {
+    if (match.index !== consumed) break
+    consumed = match.index + match[0].length
+    filters.push({ name: match[1].toLowerCase(), argument: match[2] ?? match[3] ?? (match[4]?.trim() || undefined) })
+  }
+
+  const token = `{{${inner.trim()}}}`
+  if (consumed !== source.length) return { key, filters, error: `Can't read the filters in ${token}.` }
+  for (const { name, argument } of filters) {
+    if (!TEMPLATE_FILTERS[name]) return { key, filters, error: `Unknown filter "${name}" in ${token}.` }
+    if (FILTERS_REQUIRING_ARGUMENT.has(name) && argument === undefined) {
+      return { key, filters, error: `The "${name}" filter in ${token} needs an argument, e.g. ${name}: ${name === 'truncate' ? '20' : name === 'date' ? '"MMM d"' : '"there"'}.` }
     }
-    return value
+    if (name === 'truncate' && !(Number(argument) > 0)) return { key, filters, error: `"truncate" in ${token} needs a positive length.` }
+  }
+  return { key, filters, error: '' }
+}
+
+// A token's value after its filters, or undefined to leave it unresolved.
+// Tokens with filter errors are left unresolved too.
+function resolveTemplateToken(inner, variables) {
+  const { key, filters, error } = parseTemplateToken(inner)
+  if (error) return undefined
+
+  const isFallback = variables[TEMPLATE_FALLBACK_KEYS]?.has(resolveTemplateKey(key, variables)) ?? false
+  return filters.reduce(
+    (value, { name, argument }) => TEMPLATE_FILTERS[name](value, argument, isFallback, variables[TEMPLATE_LANGUAGE]),
+    resolveTemplateValue(key, variables)
+  )
+}
+
+// A value substituted inside a tag. In an href/src it is a whole URL when
+// the token opens the attribute (unsafe schemes are dropped) and a URL
+// component otherwise; either way it is escaped for the attribute.
+const escapeInTag = (value, tagBefore) => {
+  const urlPrefix = tagBefore.match(URL_ATTRIBUTE_PREFIX_PATTERN)
+  if (!urlPrefix) return escapeHtml(value)
+  if (urlPrefix[1]) return escapeHtml(encodeURIComponent(value))
+  return UNSAFE_URL_PATTERN.test(value) ? '' : escapeHtml(value)
+}
+
+const substituteTokens = (text, variables, escapeValue) => (
+  text.replace(TEMPLATE_TOKEN_PATTERN, (match, rawKey, key, offset) => {
+    const value = resolveTemplateToken(rawKey ?? key, variables)
+    if (value === undefined) return match
+    return rawKey === undefined ? escapeValue(value, text.slice(0, offset)) : value
   })
+)
+
+const renderPlainText = (text, variables) => substituteTokens(text, variables, (value) => value)
+
+const renderHtmlText = (text, variables) => (
+  text
+    .split(HTML_TAG_SPLIT_PATTERN)
+    .map((segment, index) => (
+      index % 2 === 1
+        ? substituteTokens(segment, variables, escapeInTag)
+        : substituteTokens(segment, variables, escapeHtml)
+    ))
+    .join('')
+)
+
+// ─── Blocks ──────────────────────────────────────────────────────────────────
+
+const BLOCK_TAG_SOURCE = String.raw`\{\{\s*(#(?:if|unless|each)\b[^}]*|else|\/(?:if|unless|each))\s*\}\}`
+const BLOCK_TAG_PATTERN = new RegExp(BLOCK_TAG_SOURCE, 'g')
+
+// A block tag on its own — a paragraph of its own in mammoth's HTML, or a
+// line of its own in the plain-text body — takes its paragraph with it, so
+// blocks don't leave empty paragraphs or doubled blank lines behind.
+const LONE_BLOCK_PARAGRAPH_PATTERN = new RegExp(String.raw`<p\b[^>]*>\s*${BLOCK_TAG_SOURCE}\s*<\/p>`, 'g')
+const LONE_BLOCK_LINE_PATTERN = new RegExp(String.raw`^[ \t]*${BLOCK_TAG_SOURCE}[ \t]*\n(?:[ \t]*\n)?`, 'gm')
+
+const CONDITION_PATTERN = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/
+
+// A variable's value as a block sees it: fallbacks such as the default
+// greeting name or a template default stand in for missing contact data, so
+// they read as empty here, as they do for `| default:`.
+const lookupBlockVariable = (key, variables) => {
+  const templateKey = resolveTemplateKey(key, variables)
+  return variables[TEMPLATE_FALLBACK_KEYS]?.has(templateKey) ? undefined : variables[templateKey]
+}
+
+// A quoted string or a number is a literal; anything else names a variable.
+const readOperand = (operand, variables) => {
+  const quoted = operand.match(/^(["'])(.*)\1$/)
+  if (quoted) return quoted[2]
+  if (/^-?\d+(\.\d+)?$/.test(operand)) return operand
+  return lookupBlockVariable(operand, variables)
+}
+
+const toNumber = (value) => (hasValue(value) && Number.isFinite(Number(value)) ? Number(value) : null)
+
+function compareValues(left, operator, right) {
+  const leftNumber = toNumber(left)
+  const rightNumber = toNumber(right)
+  const order = leftNumber !== null && rightNumber !== null
+    ? leftNumber - rightNumber
+    : String(left ?? '').trim().localeCompare(String(right ?? '').trim(), undefined, { sensitivity: 'accent' })
+
+  switch (operator) {
+    case '==': return order === 0
+    case '!=': return order !== 0
+    case '>': return order > 0
+    case '<': return order < 0
+    case '>=': return order >= 0
+    default: return order <= 0
+  }
+}
+
+// `key` is true when the variable has a value of the recipient's own
+// (fallbacks don't count, see lookupBlockVariable()); `key == "value"`, `key != other_key`, `key >= 10` and so on compare,
+// numerically when both sides are numbers, case-insensitively otherwise.
+function evaluateCondition(expression, variables) {
+  const decoded = decodeTemplateText(expression)
+  const comparison = decoded.match(CONDITION_PATTERN)
+  if (!comparison) return hasValue(lookupBlockVariable(decoded, variables))
+
+  const [, key, operator, operand] = comparison
+  return compareValues(lookupBlockVariable(key, variables), operator, readOperand(operand.trim(), variables))
+}
+
+// Arrays are used as-is; strings are split on commas, semicolons and new lines.
+const toListItems = (value) => {
+  if (Array.isArray(value)) return value.filter(hasValue)
+  if (!hasValue(value)) return []
+  return String(value).split(/[,;\n]/).map((item) => item.trim()).filter(Boolean)
+}
+
+// The text leading up to `index`, tags removed, to point at a block tag in
+// an error message.
+const describePosition = (template, index) => {
+  const before = template.slice(0, index).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+  return before ? ` after "…${before.slice(-40)}"` : ' at the start'
 }
 
+/**
+ * Parses {{#if}}, {{#unless}} and {{#each}} blocks into a tree of text
+ * chunks and block nodes. Parsing stops at the first misplaced tag; blocks
+ * still open at the end are each reported.
+ * @returns {{ nodes: Array<string | object>, errors: string[] }}
+ */
+function parseTemplateBlocks(template) {
+  const root = { children: [] }
+  const stack = [root]
+  let lastIndex = 0
+
+  const targetOf = (node) => (node.inElse ? node.elseChildren : node.children)
+
+  for (const match of template.matchAll(BLOCK_TAG_PATTERN)) {
+    const current = stack[stack.length - 1]
+    targetOf(current).push(template.slice(lastIndex, match.index))
+    lastIndex = match.index + match[0].length
+    const tag = match[1].trim()
+    const position = describePosition(template, match.index)
+
+    if (tag.startsWith('#')) {
+      const [, type, expression] = tag.match(/^#(\w+)\s*([\s\S]*)$/)
+      if (!expression.trim()) {
+        return { nodes: [], errors: [`${match[0]}${position} needs a field, e.g. {{#${type} company}}.`] }
+      }
+      const node = { type, expression, tag: match[0], position, children: [], elseChildren: [], inElse: false }
+      targetOf(current).push(node)
+      stack.push(node)
+    } else if (tag === 'else') {
+      if (current === root) return { nodes: [], errors: [`{{else}}${position} is outside any block.`] }
+      if (current.inElse) return { nodes: [], errors: [`${current.tag}${current.position} has a second {{else}}${position}.`] }
+      current.inElse = true
+    } else {
+      const type = tag.slice(1)
+      if (current === root) return { nodes: [], errors: [`{{/${type}}}${position} has no matching {{#${type}}}.`] }
+      if (current.type !== type) {
+        return { nodes: [], errors: [`{{/${type}}}${position} closes ${current.tag}${current.position}; expected {{/${current.type}}}.`] }
+      }
+      stack.pop()
+    }
+  }
+
+  if (stack.length > 1) {
+    return {
+      nodes: [],
+      errors: stack.slice(1).map((node) => `${node.tag}${node.position} is never closed with {{/${node.type}}}.`),
+    }
+  }
+
+  root.children.push(template.slice(lastIndex))
+  return { nodes: root.children, errors: [] }
+}
+
+const stripLoneBlockTags = (template) => (
+  template.replace(LONE_BLOCK_PARAGRAPH_PATTERN, '{{$1}}').replace(LONE_BLOCK_LINE_PATTERN, '{{$1}}')
+)
+
+function renderBlockNodes(nodes, variables, renderText) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') return renderText(node, variables)
+
+    if (node.type === 'each') {
+      const items = toListItems(lookupBlockVariable(decodeTemplateText(node.expression), variables))
+      if (!items.length) return renderBlockNodes(node.elseChildren, variables, renderText)
+      return items.map((item) => renderBlockNodes(node.children, { ...variables, this: item }, renderText)).join('')
+    }
+
+    const condition = evaluateCondition(node.expression, variables)
+    const branch = (node.type === 'unless' ? !condition : condition) ? node.children : node.elseChildren
+    return renderBlockNodes(branch, variables, renderText)
+  }).join('')
+}
+
+/**
+ * Lists syntax errors in a template: blocks such as an {{#if}} never closed
+ * or an {{/unless}} closing an {{#if}}, and tokens with unknown filters or
+ * missing filter arguments. applyTemplate() leaves a template with block
+ * errors un-blocked, and bad tokens unresolved, so these are surfaced before
+ * anything is sent.
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function findTemplateErrors(template) {
+  const text = String(template || '')
+  const tokenErrors = Array.from(text.matchAll(TEMPLATE_TOKEN_PATTERN), (match) => parseTemplateToken(match[1] ?? match[2]).error)
+  return [...new Set([...parseTemplateBlocks(stripLoneBlockTags(text)).errors, ...tokenErrors.filter(Boolean)])]
+}
+
+/**
+ * Renders a template for one recipient.
+ *
+ * Blocks: {{#if key}}…{{else}}…{{/if}} and {{#unless key}}…{{/unless}} keep
+ * one branch depending on whether `key` has a value (a fallback such as the
+ * default greeting name doesn't count), or on a comparison such as
+ * `key == "value"`, `key != other_key` or `key >= 10`. {{#each key}}
+ * repeats its content for each item of a list (or comma separated value),
+ * available as {{this}}. Blocks may span several paragraphs; a tag alone in
+ * its paragraph is removed along with it. A template whose blocks don't
+ * parse (see findTemplateErrors()) only has its tokens replaced.
+ *
+ * Tokens: {{key}} is replaced with the recipient's value. Plain-text
+ * templates (the subject, the plain-text body) get values as-is. With
+ * `html: true`, values are HTML-escaped in text, and attribute-escaped inside
+ * tags, with href/src URL handling (see escapeInTag()), so a CSV cell like
+ * "Smith & Sons <Autos>" can't become markup. {{{key}}} inserts a trusted
+ * value raw in either mode.
+ * @param {string} template
+ * @param {Record<string, unknown>} [variables]
+ * @param {{ html?: boolean }} [options]
+ * @returns {string}
+ */
+export function applyTemplate(template, variables = {}, { html = false } = {}) {
+  const renderText = html ? renderHtmlText : renderPlainText
+  const { nodes, errors } = parseTemplateBlocks(stripLoneBlockTags(template))
+  if (errors.length) return renderText(template, variables)
+  return renderBlockNodes(nodes, variables, renderText)
+}
+
+const UNRESOLVED_TOKEN_PATTERN = /\{\{\{?\s*([\w\s.,\-']+?)\s*(?:\|[^}]*)?\}\}\}?/g
+
 /**
  * Strips any {{placeholder}} tokens that were not resolved by applyTemplate(),
  * replacing them with the inner key text so the sentence remains readable.
@@ -139,5 +589,49 @@ export function applyTemplate(template, variables = {}) {
  * so recipients never see raw template syntax.
  */
 export function stripUnresolvedTokens(text) {
-  return text.replace(/\{\{\s*([\w\s.,\-']+?)\s*\}\}/g, (_, key) => key.trim())
+  return text.replace(UNRESOLVED_TOKEN_PATTERN, (_, key) => key.trim())
+}
+
+/**
+ * Lists the distinct {{placeholder}} keys applyTemplate() left unresolved —
+ * the ones stripUnresolvedTokens() would quietly turn into literal text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findUnresolvedTokens(text) {
+  const keys = Array.from(String(text || '').matchAll(UNRESOLVED_TOKEN_PATTERN), (match) => match[1].trim())
+  return [...new Set(keys)]
+}
+
+/**
+ * Every distinct token in a template with the value it resolves to for
+ * `variables` (from buildTemplateVariables()) and where that value came from:
+ * a contact field, a MessageHub variable, a template default, the default
+ * greeting name or the token's own `| default:`. Unresolved tokens have an
+ * undefined value and an empty source.
+ * @param {string} template
+ * @param {object} variables
+ * @returns {{ token: string, key: string, value: string|undefined, source: string }[]}
+ */
+export function describeTemplateTokens(template, variables) {
+  const described = new Map()
+  for (const match of String(template || '').matchAll(TEMPLATE_TOKEN_PATTERN)) {
+    const inner = decodeTemplateText((match[1] ?? match[2]).trim())
+    const { key, filters, error } = parseTemplateToken(inner)
+    const normalizedKey = key.trim().toLowerCase()
+    if (error || described.has(inner) || normalizedKey === 'else' || normalizedKey === 'this') continue
+
+    const templateKey = resolveTemplateKey(key, variables)
+    const value = resolveTemplateToken(inner, variables)
+    const rawValue = variables[templateKey]
+    const isFallback = variables[TEMPLATE_FALLBACK_KEYS]?.has(templateKey) ?? false
+    const usedTokenDefault = filters.some(({ name }) => name === 'default') && (!hasValue(rawValue) || isFallback)
+    described.set(inner, {
+      token: `{{${inner}}}`,
+      key: templateKey,
+      value,
+      source: value === undefined ? '' : usedTokenDefault ? 'token default' : variables[TEMPLATE_SOURCES]?.get(templateKey) || '',
+    })
+  }
+  return [...described.values()]
 }
@@ -0,0 +1,142 @@
+// src/utils/template.test.js
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyTemplate, buildTemplateVariables, escapeHtml, findTemplateErrors, TEMPLATE_FALLBACK_KEYS } from './template.js'
+
+// A recipient without a name, as App fills it in with the default greeting
+// name before building template variables.
+const namelessRecipient = {
+  email: 'sales@example.com',
+  name: 'Auto Dealer',
+  first_name: 'Auto Dealer',
+  [TEMPLATE_FALLBACK_KEYS]: ['name', 'full_name', 'fullname', 'first_name', 'firstname'],
+}
+
+const company = 'Smith & Sons <Autos> "Best"'
+
+test('escapes values in HTML text and leaves plain-text templates as-is', () => {
+  const variables = buildTemplateVariables({ company })
+  assert.equal(applyTemplate('<p>Dear {{company}},</p>', variables, { html: true }), '<p>Dear Smith &amp; Sons &lt;Autos&gt; &quot;Best&quot;,</p>')
+  assert.equal(applyTemplate('Offers for {{company}}', variables), `Offers for ${company}`)
+  assert.equal(escapeHtml("<a title='x'>&</a>"), '&lt;a title=&#39;x&#39;&gt;&amp;&lt;/a&gt;')
+})
+
+test('escapes values inside tags for the attribute', () => {
+  const variables = buildTemplateVariables({ company })
+  assert.equal(
+    applyTemplate('<img alt="{{company}}" src="cid:logo">', variables, { html: true }),
+    '<img alt="Smith &amp; Sons &lt;Autos&gt; &quot;Best&quot;" src="cid:logo">'
+  )
+})
+
+test('treats an href value as a URL when the token opens it and as a URL component otherwise', () => {
+  const variables = buildTemplateVariables({ company, website: 'https://example.com/?a=1&b=2', bad: ' JavaScript:alert(1)' })
+  assert.equal(applyTemplate('<a href="{{website}}">Site</a>', variables, { html: true }), '<a href="https://example.com/?a=1&amp;b=2">Site</a>')
+  assert.equal(applyTemplate('<a href="{{bad}}">Site</a>', variables, { html: true }), '<a href="">Site</a>')
+  assert.equal(
+    applyTemplate('<a href="https://example.com/?q={{company}}">Search</a>', variables, { html: true }),
+    '<a href="https://example.com/?q=Smith%20%26%20Sons%20%3CAutos%3E%20%22Best%22">Search</a>'
+  )
+})
+
+test('inserts {{{raw}}} values unescaped in text and tags, and leaves unknown tokens alone', () => {
+  const variables = buildTemplateVariables({ banner: '<b>Spring & Summer</b>', website: 'https://example.com/?a=1&b=2' })
+  assert.equal(applyTemplate('<p>{{{banner}}}</p>', variables, { html: true }), '<p><b>Spring & Summer</b></p>')
+  assert.equal(applyTemplate('<a href="{{{website}}}">x</a>', variables, { html: true }), '<a href="https://example.com/?a=1&b=2">x</a>')
+  assert.equal(applyTemplate('{{{missing}}} and {{missing}}', variables, { html: true }), '{{{missing}}} and {{missing}}')
+})
+
+test('treats the default greeting name as empty in conditions', () => {
+  const template = '{{#if first_name}}Hi {{first_name}}{{else}}Hello{{/if}}'
+  assert.equal(applyTemplate(template, buildTemplateVariables(namelessRecipient)), 'Hello')
+  assert.equal(applyTemplate(template, buildTemplateVariables({ first_name: 'Dana' })), 'Hi Dana')
+  assert.equal(applyTemplate('{{#unless name}}Hello{{/unless}}', buildTemplateVariables(namelessRecipient)), 'Hello')
+})
+
+test('treats template defaults as empty in conditions, comparisons and lists', () => {
+  const variables = buildTemplateVariables({})
+  assert.equal(applyTemplate('{{#if vehicle}}{{vehicle}}{{else}}none{{/if}}', variables), 'none')
+  assert.equal(applyTemplate('{{#if vehicle == "vehicle"}}same{{else}}empty{{/if}}', variables), 'empty')
+  assert.equal(applyTemplate('{{#each dealerships}}[{{this}}]{{else}}no list{{/each}}', variables), 'no list')
+})
+
+test('compares numerically when both sides are numbers and case-insensitively otherwise', () => {
+  const variables = buildTemplateVariables({ fleet_size: '9', state: 'wi', other_state: 'WI' })
+  assert.equal(applyTemplate('{{#if fleet_size >= 10}}big{{else}}small{{/if}}', variables), 'small')
+  assert.equal(applyTemplate('{{#if state == "WI"}}yes{{/if}}', variables), 'yes')
+  assert.equal(applyTemplate('{{#if state != other_state}}differ{{else}}match{{/if}}', variables), 'match')
+  assert.equal(applyTemplate('{{#if state == &quot;WI&quot;}}yes{{/if}}', variables), 'yes')
+})
+
+test('repeats each blocks over list items and renders nested blocks', () => {
+  const variables = buildTemplateVariables({ brands: 'Ford; Audi, Kia', company: 'Smith Autos' })
+  const template = '{{#if company}}{{company}}:{{#each brands}} {{#if this == "Audi"}}*{{/if}}{{this}}{{/each}}{{/if}}'
+  assert.equal(applyTemplate(template, variables), 'Smith Autos: Ford *Audi Kia')
+})
+
+test('removes a block tag alone in its paragraph along with the paragraph', () => {
+  const html = '<p>{{#if company}}</p><p>Dear {{company}},</p><p>{{else}}</p><p>Dear dealer,</p><p>{{/if}}</p><p>Thanks</p>'
+  assert.equal(applyTemplate(html, buildTemplateVariables({}), { html: true }), '<p>Dear dealer,</p><p>Thanks</p>')
+  assert.equal(applyTemplate('{{#if company}}\nDear {{company}},\n{{/if}}\nThanks', buildTemplateVariables({ company: 'Kia' })), 'Dear Kia,\nThanks')
+})
+
+test('reports unbalanced and misnested blocks', () => {
+  assert.deepEqual(findTemplateErrors('Hi {{#if company}}there'), ['{{#if company}} after "…Hi" is never closed with {{/if}}.'])
+  assert.deepEqual(findTemplateErrors('<p>Hi</p>{{/if}}'), ['{{/if}} after "…Hi" has no matching {{#if}}.'])
+  const [misnested] = findTemplateErrors('<p>{{#if a}}</p><p>Cars: {{#each b}}x</p><p>{{/if}}</p><p>{{/each}}</p>')
+  assert.match(misnested, /^\{\{\/if\}\} after "….*Cars: \{\{#each b\}\}x" closes \{\{#each b\}\} after ".*Cars:"; expected \{\{\/each\}\}\.$/)
+  assert.deepEqual(findTemplateErrors('{{else}}'), ['{{else}} at the start is outside any block.'])
+  assert.match(findTemplateErrors('{{#if a}}x{{else}}y{{else}}z{{/if}}')[0], /^\{\{#if a\}\} at the start has a second \{\{else\}\} after ".*y"\.$/)
+  assert.deepEqual(findTemplateErrors('{{#if}}x{{/if}}'), ['{{#if}} at the start needs a field, e.g. {{#if company}}.'])
+})
+
+test('leaves a template with block errors un-blocked but still replaces tokens', () => {
+  const variables = buildTemplateVariables({ company: 'Kia' })
+  assert.equal(applyTemplate('{{#if company}}{{company}}', variables), '{{#if company}}Kia')
+})
+
+test('uses default: for empty values and fallbacks, but not for real values', () => {
+  const template = 'Hi {{first_name | default: "there"}}'
+  assert.equal(applyTemplate(template, buildTemplateVariables(namelessRecipient)), 'Hi there')
+  assert.equal(applyTemplate(template, buildTemplateVariables({ first_name: '  ' })), 'Hi there')
+  assert.equal(applyTemplate(template, buildTemplateVariables({ first_name: 'Dana' })), 'Hi Dana')
+  assert.equal(applyTemplate('{{vehicle | default: “car”}}', buildTemplateVariables({})), 'car')
+})
+
+test('applies filters left to right and leaves unresolved tokens unchanged', () => {
+  const variables = buildTemplateVariables({ company: "SMITH-JONES o'neil autos" })
+  assert.equal(applyTemplate('{{company | title}}', variables), "Smith-Jones O'Neil Autos")
+  assert.equal(applyTemplate('{{company | lower}}', variables), "smith-jones o'neil autos")
+  assert.equal(applyTemplate('{{missing | default: "dealer" | upper}}', variables), 'DEALER')
+  assert.equal(applyTemplate('{{missing | upper}}', variables), '{{missing | upper}}')
+})
+
+test('truncates at the boundary with an ellipsis', () => {
+  const variables = buildTemplateVariables({ company: 'Kia Motors' })
+  assert.equal(applyTemplate('{{company | truncate: 10}}', variables), 'Kia Motors')
+  assert.equal(applyTemplate('{{company | truncate: 9}}', variables), 'Kia Moto…')
+  assert.equal(applyTemplate('{{company | truncate: 4}}', variables), 'Kia…')
+  assert.equal(applyTemplate('{{company | truncate: 1}}', variables), '…')
+})
+
+test('formats dates in the campaign language and leaves bad dates as written', () => {
+  const variables = buildTemplateVariables({ renewal: '2025-03-07', note: 'next spring' }, {}, 'ES')
+  assert.equal(applyTemplate('{{renewal | date: "MMM d, yyyy"}}', buildTemplateVariables({ renewal: '2025-03-07' }, {}, 'EN')), 'Mar 7, 2025')
+  assert.equal(applyTemplate("{{renewal | date: \"d 'de' MMMM\"}}", variables), '7 de marzo')
+  assert.equal(applyTemplate('{{note | date: "MMM d"}}', variables), 'next spring')
+  assert.equal(applyTemplate('{{missing | date: "MMM d"}}', variables), '{{missing | date: "MMM d"}}')
+})
+
+test('adds a possessive apostrophe', () => {
+  assert.equal(applyTemplate('{{company | possessive}}', buildTemplateVariables({ company: 'Kia ' })), "Kia's")
+  assert.equal(applyTemplate('{{company | possessive}}', buildTemplateVariables({ company: 'James' })), "James'")
+  assert.equal(applyTemplate('{{company | possessive}}', buildTemplateVariables({})), '{{company | possessive}}')
+})
+
+test('reports unknown filters and missing or bad arguments', () => {
+  assert.deepEqual(findTemplateErrors('{{company | shout}}'), ['Unknown filter "shout" in {{company | shout}}.'])
+  assert.deepEqual(findTemplateErrors('{{company | truncate}}'), ['The "truncate" filter in {{company | truncate}} needs an argument, e.g. truncate: 20.'])
+  assert.deepEqual(findTemplateErrors('{{company | truncate: 0}}'), ['"truncate" in {{company | truncate: 0}} needs a positive length.'])
+  assert.deepEqual(findTemplateErrors('{{renewal | date}}'), ['The "date" filter in {{renewal | date}} needs an argument, e.g. date: "MMM d".'])
+  assert.equal(applyTemplate('{{company | shout}}', buildTemplateVariables({ company: 'Kia' })), '{{company | shout}}')
+})
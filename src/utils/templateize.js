@@ -0,0 +1,198 @@
+// src/utils/templateize.js
+
+/**
+ * ─── Templateize rules ───────────────────────────────────────────────────────
+ *
+ * A rule turns a mutable word or phrase in an uploaded DOCX into a
+ * {{placeholder}} token by anchoring on the literal text around it, e.g.
+ * "risky for dealerships." → "risky for {{dealerships}}.". Rules are data:
+ *
+ *   { id, before, after, match, token, scope, maxOccurrences }
+ *
+ *   before / after   literal anchor text; runs of spaces match any whitespace
+ *   match            what sits between the anchors (see TEMPLATEIZE_MATCH_KINDS)
+ *   token            placeholder key, e.g. "Vehicle" → {{Vehicle}}
+ *   scope            'subject' or 'body' (the body rules also run on the
+ *                    plain-text alternative)
+ *   maxOccurrences   replacements per scope; 0 replaces every occurrence
+ *
+ * Rules only run once, when the DOCX is uploaded or the rule set changes. A
+ * subject typed into the subject box is taken literally unless it contains
+ * {{token}} syntax itself.
+ * ─────────────────────────────────────────────────────────────────────────────
+ */
+
+export const TEMPLATEIZE_MATCH_KINDS = {
+  word: {
+    label: 'One word',
+    // A run of non-space characters, stopping before trailing punctuation.
+    pattern: '[^\\s<.,;:!?]+',
+    needsAfterAnchor: false,
+  },
+  words: {
+    label: 'Several words',
+    pattern: '[\\w\\s]+?',
+    needsAfterAnchor: true,
+  },
+  phrase: {
+    label: 'Phrase (any text up to the after-anchor)',
+    // [^<] keeps the match from crossing HTML tag boundaries.
+    pattern: '[^<]+?',
+    needsAfterAnchor: true,
+  },
+}
+
+export const TEMPLATEIZE_SCOPES = ['subject', 'body']
+
+const SELL_DESCRIPTION_TOKEN = 'sell luxury vehicles, specialty cars, fleet inventory, or private sales'
+
+export const BUILT_IN_RULE_SETS = [
+  {
+    id: 'auto-dealer',
+    name: 'Auto dealers (Secure Transactions)',
+    builtIn: true,
+    rules: [
+      { id: 'secure-vehicle-transactions', before: 'Secure ', after: ' Transactions', match: 'word', token: 'Vehicle', scope: 'subject', maxOccurrences: 1 },
+      { id: 'high-value-vehicle', before: 'High-value ', after: ' transactions demand', match: 'word', token: 'vehicle', scope: 'body', maxOccurrences: 1 },
+      { id: 'modernize-vehicle', before: 'modernize ', after: ' transactions', match: 'word', token: 'vehicle', scope: 'body', maxOccurrences: 1 },
+      { id: 'risky-for-dealerships', before: 'risky for ', after: '', match: 'word', token: 'dealerships', scope: 'body', maxOccurrences: 1 },
+      { id: 'accelerates-dealerships', before: 'accelerates, ', after: ' that', match: 'word', token: 'dealerships', scope: 'body', maxOccurrences: 1 },
+      { id: 'allowing-your-dealership', before: 'allowing ', after: ' to accept', match: 'words', token: 'your dealership', scope: 'body', maxOccurrences: 1 },
+      { id: 'into-your-dealership', before: 'into ', after: ' operations', match: 'words', token: 'your dealership', scope: 'body', maxOccurrences: 1 },
+      { id: 'why-auto-dealers', before: 'Why ', after: ' Choose', match: 'words', token: 'Auto Dealers', scope: 'body', maxOccurrences: 1 },
+      { id: 'whether-you-sell', before: 'Whether you ', after: ', Shake', match: 'phrase', token: SELL_DESCRIPTION_TOKEN, scope: 'body', maxOccurrences: 1 },
+    ],
+  },
+  {
+    id: 'none',
+    name: 'None (use the DOCX as written)',
+    builtIn: true,
+    rules: [],
+  },
+]
+
+export const DEFAULT_RULE_SET_ID = 'auto-dealer'
+
+const CUSTOM_RULE_SETS_STORAGE_KEY = 'marketing-mailer:templateize-rule-sets'
+const SAMPLE_CONTEXT_CHARS = 30
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Literal anchor text as a pattern: whitespace runs match any whitespace,
+// and an anchor starting with a letter only matches at a word boundary.
+const anchorPattern = (anchor) => {
+  const pattern = escapeRegExp(anchor).replace(/\s+/g, '\\s+')
+  return /^\w/.test(anchor) ? `\\b${pattern}` : pattern
+}
+
+/**
+ * Why a rule can't run, or '' when it is usable.
+ * @param {object} rule
+ * @returns {string}
+ */
+export function validateTemplateizeRule(rule) {
+  const kind = TEMPLATEIZE_MATCH_KINDS[rule.match]
+  if (!kind) return `Unknown match kind "${rule.match}".`
+  if (!String(rule.before || '').trim()) return 'Needs an anchor before the match.'
+  if (kind.needsAfterAnchor && !String(rule.after || '').trim()) return `"${kind.label}" needs an anchor after the match.`
+  if (!/^[\w.,\- ]+$/.test(String(rule.token || '').trim())) return 'Token must be letters, digits, spaces or . , -'
+  if (!TEMPLATEIZE_SCOPES.includes(rule.scope)) return `Scope must be ${TEMPLATEIZE_SCOPES.join(' or ')}.`
+  if (!(Number(rule.maxOccurrences) >= 0)) return 'Max occurrences must be 0 (all) or more.'
+  return ''
+}
+
+const buildRulePattern = (rule) => new RegExp(
+  `(${anchorPattern(rule.before)})(${TEMPLATEIZE_MATCH_KINDS[rule.match].pattern})(${rule.after ? anchorPattern(rule.after) : ''})`,
+  'gi'
+)
+
+const plainContext = (text) => text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ')
+
+// Applies one rule, returning the new text and a sample for each
+// replacement: the matched text with some context either side.
+function applyRule(text, rule) {
+  const limit = Number(rule.maxOccurrences) || Infinity
+  const matches = []
+  const result = text.replace(buildRulePattern(rule), (match, before, matched, after, offset) => {
+    if (matches.length >= limit) return match
+    matches.push({
+      before: plainContext(text.slice(Math.max(0, offset - SAMPLE_CONTEXT_CHARS), offset) + before).trimStart(),
+      matched: plainContext(matched),
+      after: plainContext(after + text.slice(offset + match.length, offset + match.length + SAMPLE_CONTEXT_CHARS)).trimEnd(),
+    })
+    return `${before}{{${rule.token.trim()}}}${after}`
+  })
+  return { text: result, matches }
+}
+
+/**
+ * Runs a rule set over the un-templated DOCX content. The report has one
+ * entry per rule, in order, with its matches in the subject or HTML body (or
+ * a validation error); a rule with neither matched nothing.
+ * @param {{ html: string, text: string, subject: string }} source
+ * @param {object[]} rules
+ * @returns {{
+ *   html: string, text: string, subject: string,
+ *   report: { rule: object, error: string, matches: { before: string, matched: string, after: string }[] }[],
+ * }}
+ */
+export function templateizeContent(source, rules = []) {
+  let { html = '', text = '', subject = '' } = source
+  const report = []
+
+  for (const rule of rules) {
+    const error = validateTemplateizeRule(rule)
+    if (error) {
+      report.push({ rule, error, matches: [] })
+      continue
+    }
+
+    if (rule.scope === 'subject') {
+      const applied = applyRule(subject, rule)
+      subject = applied.text
+      report.push({ rule, error: '', matches: applied.matches })
+    } else {
+      const applied = applyRule(html, rule)
+      html = applied.text
+      text = applyRule(text, rule).text
+      report.push({ rule, error: '', matches: applied.matches })
+    }
+  }
+
+  return { html, text, subject, report }
+}
+
+const RULE_FIELDS = ['before', 'after', 'match', 'token', 'scope', 'maxOccurrences']
+
+/**
+ * Whether two rule sets have the same id and the same rules in the same
+ * order, e.g. this browser's copy and the one saved for a campaign.
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {boolean}
+ */
+export function isSameRuleSet(a, b) {
+  if (!a || !b || a.id !== b.id || a.rules.length !== b.rules.length) return false
+  return a.rules.every((rule, index) => (
+    RULE_FIELDS.every((field) => String(rule[field] ?? '') === String(b.rules[index][field] ?? ''))
+  ))
+}
+
+/**
+ * Rule sets saved from the editor, kept in this browser's localStorage. A
+ * campaign's rule set is saved with the campaign in MessageHub (see
+ * fetchCampaignRuleSet in graphApi.js) and copied in here when loaded.
+ * @returns {object[]}
+ */
+export function loadCustomRuleSets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_RULE_SETS_STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export function saveCustomRuleSets(ruleSets) {
+  localStorage.setItem(CUSTOM_RULE_SETS_STORAGE_KEY, JSON.stringify(ruleSets))
+}
@@ -0,0 +1,37 @@
+// src/utils/unsubscribe.js
+
+// Unsigned fallback used by the preview panel; real sends link to a signed,
+// per-recipient URL from createUnsubscribeLink() instead.
+export const UNSUBSCRIBE_PAGE_URL = 'https://shakedefi.email/unsubscribe'
+
+// Reason codes offered on the unsubscribe page and reported back in the
+// mailer's weekly unsubscribe-reason report.
+export const UNSUBSCRIBE_REASONS = ['not_relevant', 'too_frequent', 'never_signed_up', 'other']
+
+/**
+ * Builds the RFC 2369 / RFC 8058 headers Gmail and Yahoo require from bulk
+ * senders. The one-click URL must accept a POST of
+ * "List-Unsubscribe=One-Click" without any further user interaction, so it
+ * points at the backend rather than the static unsubscribe page.
+ * @param {string} oneClickUrl
+ * @returns {{ name: string, value: string }[]}
+ */
+export function buildListUnsubscribeHeaders(oneClickUrl) {
+  return [
+    { name: 'List-Unsubscribe', value: `<${oneClickUrl}>` },
+    { name: 'List-Unsubscribe-Post', value: 'List-Unsubscribe=One-Click' },
+  ]
+}
+
+/**
+ * Adds the email's language to an unsubscribe page link so the page renders
+ * in the same language as the footer that linked to it.
+ * @param {string} url
+ * @param {string|null} language EN, ES, …
+ */
+export function withUnsubscribeLanguage(url, language) {
+  if (!language) return url
+  const link = new URL(url)
+  link.searchParams.set('lang', language)
+  return link.toString()
+}
@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { resolve } from 'node:path'
+import clickRedirectStub from './clickRedirectStub.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), clickRedirectStub()],
   build: {
     chunkSizeWarningLimit: 550,
     rollupOptions: {